@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// Command-line entry point: runs scrapes and exports against the same storage
+// as the API server (STORAGE, DATA_FILE, SQLITE_FILE), without starting Express.
+// Don't run a CLI scrape while the server is scraping the same storage.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { HackerNoonScraper, topicChanged } = require('../src/lib/scraper');
+const { PoliteFetcher } = require('../src/lib/fetcher');
+const { ResponseCache, CACHE_MODES } = require('../src/lib/cache');
+const { saveParseReport } = require('../src/lib/drift');
+const { createStorage } = require('../src/lib/storage');
+const { parseCsvQuery, buildCsv } = require('../src/lib/csv');
+const { parseExportQuery, exportChunks } = require('../src/lib/export');
+
+const USAGE = `Usage: hackernoon-authors <command> [options]
+
+Commands:
+  scrape    Find new matching articles and authors, continuing from the stored state
+              --keywords a,b        Comma-separated search keywords (default: built-in list)
+              --tags a,b            Comma-separated tag slugs (default: built-in list)
+              --sitemaps N          Sitemaps to check (default 10)
+              --articles-per-sitemap N   (default 150)
+              --tag-pages N         Listing pages per tag (default 3)
+              --backfill-pages N    Walk N listing pages of each author's profile for all their
+                                    matching articles (default 0, off)
+              --skip-sponsored      Don't match sponsored or tech-company-news articles
+              --reset               Clear stored state first
+              --no-resume           Don't resume an interrupted run; start a new one
+              --cache-mode M        live, cache-only (replay cached pages, no network) or off
+                                    (default: HTTP_CACHE_MODE or live)
+              --json                Print run stats as JSON (logs go to stderr)
+  export    Write results to a file or stdout
+              --format F            csv (default), jsonl, vcf or ndjson-articles
+              --out FILE            Output file (default: stdout)
+              --mode M, --columns a,b    CSV only, as for GET /api/csv
+              --q, --keyword, --has-twitter, --has-linkedin, --has-github, --has-website,
+              --min-articles, --since, --active-within-days, --sort
+                                    Filters, as for GET /api/results
+  status    Show what's stored (--json for machine-readable output)
+  reset     Clear stored results, state and run history (requires --yes)`;
+
+const FILTER_OPTIONS = {
+  q: { type: 'string' },
+  keyword: { type: 'string' },
+  'has-twitter': { type: 'string' },
+  'has-linkedin': { type: 'string' },
+  'has-github': { type: 'string' },
+  'has-website': { type: 'string' },
+  'min-articles': { type: 'string' },
+  since: { type: 'string' },
+  'active-within-days': { type: 'string' },
+  sort: { type: 'string' }
+};
+
+// Mistakes in how the command was called; exit code 2
+class UsageError extends Error {}
+
+function parseCount(name, value, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a non-negative integer`);
+  return n;
+}
+
+function parseList(value) {
+  return value === undefined ? undefined : value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// --has-twitter style flags -> the query params the API filters take
+function filterQuery(values) {
+  const query = {};
+  for (const option of Object.keys(FILTER_OPTIONS)) {
+    if (values[option] === undefined) continue;
+    const param = option
+      .replace(/-(\w)/g, (m, c) => c.toUpperCase())
+      .replace('hasLinkedin', 'hasLinkedIn')
+      .replace('hasGithub', 'hasGitHub');
+    query[param] = values[option];
+  }
+  return query;
+}
+
+async function scrape(storage, args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      keywords: { type: 'string' },
+      tags: { type: 'string' },
+      sitemaps: { type: 'string' },
+      'articles-per-sitemap': { type: 'string' },
+      'tag-pages': { type: 'string' },
+      'backfill-pages': { type: 'string' },
+      'skip-sponsored': { type: 'boolean' },
+      reset: { type: 'boolean' },
+      'no-resume': { type: 'boolean' },
+      'cache-mode': { type: 'string' },
+      json: { type: 'boolean' }
+    }
+  });
+  if (values['cache-mode'] !== undefined && !CACHE_MODES.includes(values['cache-mode'])) {
+    throw new UsageError(`--cache-mode must be one of ${CACHE_MODES.join(', ')}`);
+  }
+  const options = {
+    keywords: parseList(values.keywords),
+    tags: parseList(values.tags),
+    sitemapsToCheck: parseCount('sitemaps', values.sitemaps, 10),
+    maxArticlesPerSitemap: parseCount('articles-per-sitemap', values['articles-per-sitemap'], 150),
+    tagPagesPerTag: parseCount('tag-pages', values['tag-pages'], 3),
+    backfillPages: parseCount('backfill-pages', values['backfill-pages'], 0),
+    skipSponsored: !!values['skip-sponsored']
+  };
+
+  // Keep stdout for the JSON summary
+  if (values.json) console.log = console.error;
+
+  let data = storage.load();
+  if (values.reset) {
+    storage.clear();
+    data = storage.load();
+  }
+
+  let runId = crypto.randomUUID();
+  let createdAt = new Date().toISOString();
+  let resume = null;
+  let scraperOptions = options;
+  if (data.checkpoint && !values['no-resume']) {
+    ({ jobId: runId, createdAt, options: scraperOptions } = data.checkpoint);
+    resume = data.checkpoint.run;
+    console.log(`Resuming interrupted run ${runId} (${resume.phase} phase)`);
+  } else if (topicChanged(data.scraperState, options)) {
+    throw new UsageError('Stored results were built for a different --keywords/--tags set; add --reset to start over with the new one');
+  }
+
+  const scraper = new HackerNoonScraper(data.scraperState, {
+    keywords: scraperOptions.keywords,
+    tags: scraperOptions.tags,
+    keywordWeights: scraperOptions.keywordWeights,
+    skipSponsored: scraperOptions.skipSponsored,
+    runId,
+    fetcher: new PoliteFetcher({ cache: new ResponseCache({ mode: values['cache-mode'] }) })
+  });
+  scraper.on('checkpoint', checkpoint => {
+    storage.saveState(checkpoint.state);
+    storage.saveCheckpoint({ jobId: runId, options: scraperOptions, createdAt, run: checkpoint.run });
+    storage.flush();
+  });
+
+  // First Ctrl-C stops at the next article and saves; a second one exits immediately
+  process.on('SIGINT', () => {
+    if (scraper.cancelRequested) process.exit(130);
+    console.error('Cancelling - saving progress (Ctrl-C again to quit now)');
+    scraper.cancel();
+  });
+
+  const { newAuthors, parseSamples, ...results } = await scraper.scrape({
+    sitemapsToCheck: scraperOptions.sitemapsToCheck ?? 10,
+    maxArticlesPerSitemap: scraperOptions.maxArticlesPerSitemap ?? 150,
+    tagPagesPerTag: scraperOptions.tagPagesPerTag ?? 3,
+    backfillPages: scraperOptions.backfillPages ?? 0,
+    checkpointEvery: parseInt(process.env.CHECKPOINT_EVERY, 10) || 25,
+    profileTtlDays: Number(process.env.PROFILE_TTL_DAYS || 30),
+    backfillTtlDays: Number(process.env.BACKFILL_TTL_DAYS || 30),
+    resume
+  });
+
+  const time = new Date().toISOString();
+  storage.saveState(results.state);
+  storage.saveResults(results, time);
+  storage.appendRun({
+    time,
+    jobId: runId,
+    type: 'scrape',
+    trigger: 'cli',
+    newAuthors: results.stats.newAuthorsThisRun,
+    totalAuthors: results.stats.totalAuthors,
+    articlesProcessed: results.stats.articlesProcessed,
+    warnings: results.stats.warnings.map(w => w.code),
+    cancelled: results.stats.cancelled
+  });
+  saveParseReport(storage, { runId, parse: results.stats.parse, samples: parseSamples });
+  storage.clearCheckpoint();
+  storage.flush();
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify({ runId, stats: results.stats, newAuthors: newAuthors.map(a => a.handle) }, null, 2) + '\n');
+  } else {
+    const { stats } = results;
+    console.log(`Run ${runId}: ${stats.articlesProcessed} articles processed, ${stats.articlesMatched} matched, ${stats.newAuthorsThisRun} new authors (${stats.totalAuthors} total)`);
+    if (stats.backfill) {
+      console.log(`Backfill: ${stats.backfill.authors} authors walked, ${stats.backfill.articlesListed} articles listed, ${stats.backfill.articlesAdded} matching articles added`);
+    }
+    for (const warning of stats.warnings) console.log(`Warning ${warning.code}: ${warning.message}`);
+  }
+}
+
+// Write chunks to the output, waiting for it to drain when its buffer is full.
+// once() rejects if the stream errors while we wait, so a failed output can't hang.
+async function writeChunks(out, chunks) {
+  for (const chunk of chunks) {
+    if (out.errored) throw out.errored;
+    if (!out.write(chunk)) await once(out, 'drain');
+  }
+}
+
+async function exportResults(storage, args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string', default: 'csv' },
+      out: { type: 'string' },
+      mode: { type: 'string' },
+      columns: { type: 'string' },
+      ...FILTER_OPTIONS
+    }
+  });
+
+  const query = filterQuery(values);
+  let chunks;
+  const { cachedResults, scraperState } = storage.load();
+  if (!cachedResults) throw new Error('No results stored yet. Run `hackernoon-authors scrape` first.');
+  const articlesByHandle = new Map(scraperState?.authorArticles || []);
+
+  if (values.format === 'csv') {
+    const { spec, error } = parseCsvQuery({ ...query, mode: values.mode, columns: values.columns });
+    if (error) throw new UsageError(error);
+    chunks = [buildCsv(cachedResults.authors, spec, articlesByHandle).csv];
+  } else {
+    if (values.mode || values.columns) throw new UsageError('--mode and --columns only apply to --format csv');
+    const { spec, error } = parseExportQuery({ ...query, format: values.format });
+    if (error) throw new UsageError(error.replace('format', '--format'));
+    chunks = exportChunks(cachedResults.authors, spec, articlesByHandle);
+  }
+
+  if (!values.out) {
+    // The reader went away (export ... | head): stop quietly instead of crashing
+    process.stdout.on('error', err => {
+      if (err.code === 'EPIPE') process.exit(0);
+      throw err;
+    });
+    await writeChunks(process.stdout, chunks);
+    return;
+  }
+
+  const out = fs.createWriteStream(values.out);
+  // Watched from the start: opening the file fails after the first writes are buffered
+  const written = finished(out);
+  try {
+    await writeChunks(out, chunks);
+    out.end();
+  } finally {
+    await written;
+  }
+  console.error(`Wrote ${values.out}`);
+}
+
+function status(storage, args) {
+  const { values } = parseArgs({ args, options: { json: { type: 'boolean' } } });
+  const { cachedResults, lastScrapeTime, scraperState, scrapeHistory, checkpoint } = storage.load();
+  const lastRun = scrapeHistory[scrapeHistory.length - 1] || null;
+  const parser = storage.getSetting('parserHealth');
+  const info = {
+    storage: storage.describe(),
+    lastScrapeTime,
+    authors: cachedResults?.authors?.length || 0,
+    processedUrls: scraperState?.processedUrls?.length || 0,
+    processedProfiles: scraperState?.processedProfiles?.length || 0,
+    scrapeRuns: scrapeHistory.length,
+    lastRun,
+    parser,
+    interruptedRun: checkpoint ? { jobId: checkpoint.jobId, phase: checkpoint.run.phase, pendingArticles: checkpoint.run.pendingArticles.length } : null
+  };
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(info, null, 2) + '\n');
+    return;
+  }
+  console.log(`Storage:        ${info.storage}`);
+  console.log(`Last scrape:    ${info.lastScrapeTime || 'never'}`);
+  console.log(`Authors:        ${info.authors}`);
+  console.log(`Processed URLs: ${info.processedUrls}`);
+  console.log(`Runs:           ${info.scrapeRuns}${lastRun ? ` (last: ${lastRun.newAuthors} new authors, trigger ${lastRun.trigger || 'api'})` : ''}`);
+  if (parser) {
+    console.log(`Parser:         ${Math.round(parser.failureRatio * 100)}% of ${parser.pagesParsed} article pages unparseable in the last scrape`);
+    if (parser.warning) console.log(`Warning:        ${parser.warning.code} - ${parser.warning.message}`);
+  }
+  if (info.interruptedRun) {
+    console.log(`Interrupted:    run ${info.interruptedRun.jobId} in ${info.interruptedRun.phase} phase, ${info.interruptedRun.pendingArticles} articles pending`);
+  }
+}
+
+function reset(storage, args) {
+  const { values } = parseArgs({ args, options: { yes: { type: 'boolean' } } });
+  if (!values.yes) throw new UsageError('reset deletes all stored results and state - pass --yes to confirm');
+  storage.load();
+  storage.clear();
+  console.log(`Cleared ${storage.describe()}`);
+}
+
+const COMMANDS = { scrape, export: exportResults, status, reset };
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  const storage = createStorage();
+  try {
+    await COMMANDS[command](storage, args);
+    return 0;
+  } catch (err) {
+    // parseArgs throws TypeErrors with ERR_PARSE_ARGS_* codes for bad flags
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${err.message}\n\nRun "hackernoon-authors help" for usage.`);
+      return 2;
+    }
+    console.error(`Error: ${err.message}`);
+    return 1;
+  } finally {
+    storage.close();
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
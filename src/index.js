@@ -1,45 +1,202 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
-const { HackerNoonScraper, SEARCH_KEYWORDS, TAG_KEYWORDS } = require('./lib/scraper');
+const crypto = require('crypto');
+const { HackerNoonScraper, topicChanged, SEARCH_KEYWORDS, TAG_KEYWORDS } = require('./lib/scraper');
+const { PoliteFetcher } = require('./lib/fetcher');
+const { saveParseReport } = require('./lib/drift');
+const { createStorage } = require('./lib/storage');
+const { parseAuthorQuery, queryAuthors } = require('./lib/filters');
+const { Scheduler } = require('./lib/scheduler');
+const { WebhookManager } = require('./lib/webhooks');
+const { diffRuns } = require('./lib/diff');
+const { parseCsvQuery, buildCsv } = require('./lib/csv');
+const { parseExportQuery, exportChunks, EXPORT_FORMATS } = require('./lib/export');
+const { ApiKeyAuth, loadApiKeys } = require('./lib/auth');
+const { UsageMeter } = require('./lib/usage');
+const { RateLimiter, DailyQuota } = require('./lib/ratelimit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Data persistence file path
-const DATA_FILE = process.env.DATA_FILE || '/tmp/hackernoon-scraper-data.json';
+// Data persistence backend (STORAGE=json|sqlite)
+const storage = createStorage();
+
+// Behind a proxy, req.ip (used for rate limits) needs TRUST_PROXY, e.g. 1 for one hop
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Comma-separated origins allowed to call the API from a browser (default: any)
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+  : '*';
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(express.json({ limit: '10mb' }));
 
 // CORS headers for all responses
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
+// API keys from API_KEYS / API_KEYS_FILE; with none configured nothing is locked
+const apiKeys = new ApiKeyAuth(loadApiKeys());
+const usage = new UsageMeter(storage);
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Identify the caller on every API request. A wrong key is rejected even on open routes.
+app.use('/api', (req, res, next) => {
+  const { key, error } = apiKeys.authenticate(req);
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      error: { code: 'UNAUTHORIZED', message: error }
+    });
+  }
+  req.apiKey = key;
+  next();
+});
+
+// Requests per minute per client, and scrape jobs per client per UTC day (0 disables either)
+const rateLimiter = new RateLimiter({ limit: Number(process.env.RATE_LIMIT_PER_MINUTE ?? 120) });
+const scrapeQuota = new DailyQuota({ limit: Number(process.env.SCRAPE_QUOTA_PER_DAY ?? 20) });
+
+// Limits apply per API key, or per IP for callers without one
+function clientId(req) {
+  return req.apiKey ? `key:${req.apiKey.name}` : `ip:${req.ip}`;
+}
+
+function rateLimited(res, code, message, retryAfterSec) {
+  res.set('Retry-After', String(retryAfterSec));
+  res.status(429).json({
+    success: false,
+    error: { code, message, retryAfterSec }
+  });
+}
+
+// Admin keys are exempt
+app.use('/api', (req, res, next) => {
+  if (!rateLimiter.enabled || req.apiKey?.admin) return next();
+  const limit = rateLimiter.take(clientId(req));
+  res.set('X-RateLimit-Limit', String(limit.limit));
+  res.set('X-RateLimit-Remaining', String(limit.remaining));
+  if (!limit.allowed) {
+    return rateLimited(res, 'RATE_LIMITED', `Too many requests - limit is ${limit.limit} per minute`, limit.retryAfterSec);
+  }
+  next();
+});
+
+// Spends one of the client's daily scrapes, handing it back if the request fails
+function requireScrapeQuota(req, res, next) {
+  if (!scrapeQuota.enabled || req.apiKey?.admin) return next();
+  const id = clientId(req);
+  const quota = scrapeQuota.take(id);
+  if (!quota.allowed) {
+    return rateLimited(res, 'QUOTA_EXCEEDED', `Daily scrape quota of ${quota.limit} used up - resets at ${quota.resetsAt}`, quota.retryAfterSec);
+  }
+  res.on('finish', () => {
+    if (res.statusCode >= 400) scrapeQuota.refund(id);
+  });
+  next();
+}
+
+function requireApiKey(req, res, next) {
+  if (!apiKeys.enabled || req.apiKey) return next();
+  res.status(401).json({
+    success: false,
+    error: { code: 'UNAUTHORIZED', message: 'This route needs an API key in the X-API-Key header or Authorization: Bearer <key>' }
+  });
+}
+
+// Every route that changes data needs a key
+app.use('/api', (req, res, next) => (MUTATING_METHODS.has(req.method) ? requireApiKey(req, res, next) : next()));
+
+// Meter each JSON response against the caller's key, charging the meta.credits it reports
+app.use('/api', (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => {
+    const route = `${req.method} ${req.route?.path || req.originalUrl.split('?')[0]}`;
+    usage.record(req.apiKey?.name || 'anonymous', route, body?.success ? body.meta?.credits || 0 : 0);
+    return json(body);
+  };
+  next();
+});
+
 // Persistent state - loaded from file on startup
 let cachedResults = null;
 let lastScrapeTime = null;
 let scrapeInProgress = false;
 let scraperState = null;
 let scrapeHistory = [];
+let interruptedRun = null;
 const startTime = Date.now();
 
+// Background scrape jobs (in memory only - a restart forgets them)
+const MAX_JOBS = 50;
+const jobs = new Map();
+let currentJob = null;
+
+// Recurring incremental scrapes; a tick is skipped while another job runs
+const scheduler = new Scheduler(options => {
+  if (scrapeInProgress) {
+    console.log(`Scheduled scrape skipped - job ${currentJob?.id} still running`);
+    return null;
+  }
+  console.log('Starting scheduled scrape');
+  return startJob('scrape', { ...options, reset: false }, { trigger: 'schedule' }).id;
+});
+
+// Subscribers notified with the new authors after every scrape
+const webhooks = new WebhookManager(storage, {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000
+});
+
+// Secrets are only shown when a webhook is created
+function publicWebhook({ secret, ...webhook }) {
+  return { ...webhook, secretHint: `…${secret.slice(-4)}` };
+}
+
+// One fetcher for every job, so robots.txt, Crawl-delay and backoff carry over between runs
+const fetcher = new PoliteFetcher();
+
+// Author profiles older than this are re-fetched during scrapes and by POST /api/authors/refresh
+const PROFILE_TTL_DAYS = Number(process.env.PROFILE_TTL_DAYS || 30);
+
+// Matched authors' profile listings are walked again by backfilling scrapes after this long
+const BACKFILL_TTL_DAYS = Number(process.env.BACKFILL_TTL_DAYS || 30);
+
+// Server-Sent Events subscribers for live scrape progress
+const SCRAPER_EVENTS = ['phase', 'sitemap', 'tag', 'progress', 'article', 'author', 'profile', 'backfill'];
+const sseClients = new Set();
+
+function broadcast(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of sseClients) {
+    client.write(payload);
+  }
+}
+
 // Load persisted data on startup
 function loadPersistedData() {
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-      cachedResults = data.cachedResults || null;
-      lastScrapeTime = data.lastScrapeTime || null;
-      scraperState = data.scraperState || null;
-      scrapeHistory = data.scrapeHistory || [];
+    const data = storage.load();
+    cachedResults = data.cachedResults;
+    lastScrapeTime = data.lastScrapeTime;
+    scraperState = data.scraperState;
+    scrapeHistory = data.scrapeHistory;
+    // A checkpoint only survives a run that never finished - pick it back up after listen()
+    interruptedRun = data.checkpoint || null;
+    if (interruptedRun) {
+      console.log(`Found interrupted run ${interruptedRun.jobId} (${interruptedRun.run.phase} phase, ${interruptedRun.run.pendingArticles.length} articles pending)`);
+    }
+    if (scraperState || cachedResults) {
       console.log(`Loaded persisted data: ${cachedResults?.authors?.length || 0} authors, ${scraperState?.processedUrls?.length || 0} URLs processed`);
     } else {
       console.log('No persisted data found, starting fresh');
@@ -49,23 +206,41 @@ function loadPersistedData() {
   }
 }
 
-// Save data to file
+// Save data to the storage backend
 function savePersistedData() {
   try {
-    const data = {
-      cachedResults,
-      lastScrapeTime,
-      scraperState,
-      scrapeHistory,
-      savedAt: new Date().toISOString()
-    };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data), 'utf8');
-    console.log(`Data persisted to ${DATA_FILE}`);
+    storage.saveState(scraperState);
+    storage.saveResults(cachedResults, lastScrapeTime);
+    storage.flush();
+    console.log(`Data persisted to ${storage.describe()}`);
   } catch (err) {
     console.error('Error saving persisted data:', err.message);
   }
 }
 
+// Record a finished run in history and storage
+function recordRun(run) {
+  scrapeHistory.push(run);
+  try {
+    storage.appendRun(run);
+  } catch (err) {
+    console.error('Error saving run history:', err.message);
+  }
+}
+
+// Drop all state, in memory and in storage
+function clearPersistedData() {
+  scraperState = null;
+  cachedResults = null;
+  scrapeHistory = [];
+  lastScrapeTime = null;
+  try {
+    storage.clear();
+  } catch (err) {
+    console.error('Error clearing persisted data:', err.message);
+  }
+}
+
 // Load data on startup
 loadPersistedData();
 
@@ -78,9 +253,30 @@ app.get('/', (req, res) => {
     pricing: { credits: 50, usd: '$0.50' },
     endpoints: [
       { method: 'POST', path: '/api/scrape', description: 'Start a new scrape job' },
+      { method: 'GET', path: '/api/scrape/events', description: 'Stream live scrape progress (SSE)' },
+      { method: 'GET', path: '/api/schedule', description: 'Get the recurring scrape schedule' },
+      { method: 'PUT', path: '/api/schedule', description: 'Set the recurring scrape schedule' },
+      { method: 'DELETE', path: '/api/schedule', description: 'Disable the recurring scrape schedule' },
+      { method: 'GET', path: '/api/runs', description: 'List scrape runs' },
+      { method: 'GET', path: '/api/runs/:id/diff', description: 'Authors added or changed between two runs' },
+      { method: 'GET', path: '/api/usage', description: 'Requests and credits used per API key' },
+      { method: 'GET', path: '/api/webhooks', description: 'List webhook subscriptions' },
+      { method: 'POST', path: '/api/webhooks', description: 'Subscribe a URL to new-author notifications' },
+      { method: 'GET', path: '/api/webhooks/:id', description: 'Get a webhook subscription' },
+      { method: 'PATCH', path: '/api/webhooks/:id', description: 'Update a webhook subscription' },
+      { method: 'DELETE', path: '/api/webhooks/:id', description: 'Delete a webhook subscription' },
+      { method: 'POST', path: '/api/webhooks/:id/test', description: 'Send a test ping to a webhook' },
+      { method: 'GET', path: '/api/webhooks/:id/deliveries', description: 'Webhook delivery log' },
+      { method: 'GET', path: '/api/jobs/:id', description: 'Get scrape job progress' },
+      { method: 'DELETE', path: '/api/jobs/:id', description: 'Cancel a scrape job' },
       { method: 'GET', path: '/api/results', description: 'Get cached scrape results' },
       { method: 'GET', path: '/api/status', description: 'Check scrape job status' },
-      { method: 'GET', path: '/api/csv', description: 'Download results as CSV' },
+      { method: 'GET', path: '/api/parser', description: 'Article parse outcomes and drift samples from the last scrape' },
+      { method: 'GET', path: '/api/parser/samples/:outcome', description: 'Raw HTML of a page the parser failed on' },
+      { method: 'GET', path: '/api/authors/:handle', description: 'Get one author with full article history' },
+      { method: 'POST', path: '/api/authors/refresh', description: 'Re-fetch stale author profiles' },
+      { method: 'GET', path: '/api/csv', description: 'Download results as CSV (per author or per article)' },
+      { method: 'GET', path: '/api/export', description: 'Stream results as jsonl, vcf or ndjson-articles' },
       { method: 'GET', path: '/dashboard', description: 'View results in UI' }
     ],
     dashboard: '/dashboard',
@@ -168,27 +364,112 @@ app.get('/docs', (req, res) => {
   -H "Content-Type: application/json" \\
   -d '{}'</pre>
 
+  <h2>Authentication</h2>
+  <p>When the server has API keys configured (<code>API_KEYS</code> or <code>API_KEYS_FILE</code>), every <code>POST</code>, <code>PUT</code>, <code>PATCH</code> and <code>DELETE</code> route, the webhook routes, <code>/api/parser</code> and <code>/api/usage</code> need a key in <code>X-API-Key</code> or <code>Authorization: Bearer &lt;key&gt;</code>. Credits reported in <code>meta.credits</code> are metered per key; <code>GET /api/usage</code> shows the totals.</p>
+  <p>Requests are rate limited per key (or IP) and scrapes have a daily quota; over either limit the API answers <code>429</code> with <code>Retry-After</code>. <code>GET /api/status</code> shows your counters.</p>
+
+  <h2>Crawling</h2>
+  <p>The scraper obeys <code>robots.txt</code> and <code>Crawl-delay</code>, sends an identifying user agent (<code>CRAWLER_USER_AGENT</code>), keeps at most <code>CRAWL_CONCURRENCY</code> requests in flight at <code>CRAWL_RATE</code> requests per second, and backs off on <code>429</code>/<code>5xx</code>, honoring <code>Retry-After</code>. Fetched pages are cached on disk (<code>HTTP_CACHE_DIR</code>) and revalidated with <code>If-None-Match</code>/<code>If-Modified-Since</code> once their per-type TTL (<code>HTTP_CACHE_TTLS</code>) runs out; <code>HTTP_CACHE_MODE=cache-only</code> replays cached pages without touching the network.</p>
+
   <h2>Endpoints</h2>
 
   <div class="endpoint">
     <span class="method post">POST</span> <code>/api/scrape</code>
-    <p>Start a new scrape job. Returns author data when complete.</p>
+    <p>Start a background scrape job. Responds <code>202</code> with a <code>jobId</code>; poll <code>/api/jobs/:id</code> for progress. Pass <code>"wait": true</code> to block until the scrape finishes instead. The 50 credits are charged once the job completes; failed or cancelled jobs cost nothing.</p>
     <h4>Request Body (optional):</h4>
     <table>
       <tr><th>Field</th><th>Type</th><th>Description</th></tr>
-      <tr><td>sitemapsToCheck</td><td>number</td><td>Number of sitemaps to check (default: 10)</td></tr>
-      <tr><td>maxArticlesPerSitemap</td><td>number</td><td>Max articles per sitemap (default: 150)</td></tr>
+      <tr><td>sitemapsToCheck</td><td>number</td><td>Number of sitemaps to check, 0 to skip sitemaps (default: 10)</td></tr>
+      <tr><td>maxArticlesPerSitemap</td><td>number</td><td>Max articles per sitemap, 0 to skip sitemaps (default: 150)</td></tr>
+      <tr><td>tagPagesPerTag</td><td>number</td><td>Listing pages to crawl per tag, 0 to skip (default: 3)</td></tr>
+      <tr><td>backfillPages</td><td>number</td><td>Listing pages to walk on each matched author's profile to find all their matching articles, 0 to skip (default: 0)</td></tr>
+      <tr><td>keywords</td><td>string[]</td><td>Custom search keywords (replaces the defaults for this run). Changing the keyword or tag set needs <code>reset: true</code>, otherwise the request fails with <code>409 TOPIC_CHANGED</code></td></tr>
+      <tr><td>tags</td><td>string[]</td><td>Custom HackerNoon tag slugs (replaces the defaults for this run)</td></tr>
+      <tr><td>skipSponsored</td><td>boolean</td><td>Don't match sponsored or tech-company-news articles (default: false)</td></tr>
     </table>
   </div>
 
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/schedule</code> &middot;
+    <span class="method post">PUT</span> <code>/api/schedule</code> &middot;
+    <span class="method post">DELETE</span> <code>/api/schedule</code>
+    <p>Recurring incremental scrapes. <code>PUT</code> with <code>{ "intervalMinutes": 360, "options": { ... } }</code> (scrape options as for <code>POST /api/scrape</code>, minimum 5 minutes); <code>DELETE</code> turns it off. A tick is skipped while another job is running. Can also be set with <code>SCHEDULE_INTERVAL_MINUTES</code>.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/runs</code> &middot;
+    <span class="method">GET</span> <code>/api/runs/:id/diff?against=:otherId</code>
+    <p>Run history (newest first) and what changed between two runs: authors <code>added</code>, existing authors with <code>newArticles</code>, and authors whose bio or social links <code>changed</code>. <code>:id</code> is a job ID or run number; <code>against</code> defaults to the previous run.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/webhooks</code> &middot;
+    <span class="method post">POST</span> <code>/api/webhooks</code> &middot;
+    <span class="method">GET</span> / <span class="method post">PATCH</span> / <span class="method post">DELETE</span> <code>/api/webhooks/:id</code>
+    <p>Subscribe a URL with <code>{ "url": "https://...", "secret": "optional", "description": "CRM" }</code>. After every scrape that finds new authors, each active subscriber gets a signed <code>authors.new</code> POST with the full author records. Failed deliveries are retried with exponential backoff. <code>POST /api/webhooks/:id/test</code> sends a <code>ping</code>; <code>GET /api/webhooks/:id/deliveries</code> shows the delivery log.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/jobs/:id</code>
+    <p>Get a scrape job's status (<code>queued</code>, <code>running</code>, <code>completed</code>, <code>cancelled</code>, <code>failed</code>), current phase and processed/matched counts.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method post">DELETE</span> <code>/api/jobs/:id</code>
+    <p>Cancel a running scrape job. Articles processed so far are kept for the next run.</p>
+  </div>
+
   <div class="endpoint">
     <span class="method">GET</span> <code>/api/results</code>
-    <p>Get cached results from the last scrape.</p>
+    <p>Get cached results from the last scrape, ranked by <code>relevanceScore</code>. Returns up to <code>limit</code> authors plus a <code>nextCursor</code> for the next page.</p>
+    <h4>Query Parameters (optional):</h4>
+    <table>
+      <tr><th>Param</th><th>Description</th></tr>
+      <tr><td>q</td><td>Text search over name, handle, bio, keywords and matched article titles</td></tr>
+      <tr><td>keyword</td><td>Only authors with this matched keyword or tag</td></tr>
+      <tr><td>hasTwitter, hasLinkedIn, hasGitHub, hasWebsite</td><td><code>true</code>/<code>false</code> - require or exclude a link</td></tr>
+      <tr><td>minArticles</td><td>Minimum number of matching articles</td></tr>
+      <tr><td>since</td><td>Only authors with a matching article published (or first seen) on or after this date</td></tr>
+      <tr><td>activeWithinDays</td><td>Only authors whose latest matching article was published in the last N days</td></tr>
+      <tr><td>sort</td><td><code>relevance</code> (default), <code>name</code>, <code>articles</code> or <code>recent</code></td></tr>
+      <tr><td>limit</td><td>Page size, 1-500 (default: 50)</td></tr>
+      <tr><td>cursor</td><td><code>nextCursor</code> from the previous page</td></tr>
+    </table>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/authors/:handle</code>
+    <p>Get one author's full profile with every matched article (keywords, publish and first-seen time), the runs they appeared in and their profile enrichment history.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method post">POST</span> <code>/api/authors/refresh</code>
+    <p>Re-fetch author profiles as a background job (<code>202</code> with a <code>jobId</code>). Defaults to profiles older than <code>PROFILE_TTL_DAYS</code>; pass <code>handles</code> to pick authors or <code>maxAgeDays: 0</code> to refresh everyone.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/csv</code>
+    <p>Download results as RFC 4180 CSV (formula-like values are escaped). <code>mode=articles</code> gives one row per matched article; <code>columns=handle,title,url</code> picks and orders columns. Accepts the <code>/api/results</code> filters.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/export?format=jsonl|vcf|ndjson-articles</code>
+    <p>Stream results one record at a time: <code>jsonl</code> (one author per line), <code>vcf</code> (vCard 3.0 contacts with social and website URLs) or <code>ndjson-articles</code> (one matched article per line). Accepts the <code>/api/results</code> filters.</p>
   </div>
 
   <div class="endpoint">
     <span class="method">GET</span> <code>/api/status</code>
-    <p>Check if a scrape is in progress.</p>
+    <p>Check if a scrape is in progress, plus crawler counters, per-host throttling, the last scrape's parse outcomes and any <code>PARSER_DRIFT</code> warning.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/parser</code>
+    <p>Article parse outcomes from the last scrape (<code>matched</code>, <code>no-match</code>, <code>sponsored</code>, <code>no-next-data</code>, <code>no-page-data</code>, <code>no-profile</code>, <code>fetch-failed</code>) and the pages kept as drift samples. <code>GET /api/parser/samples/:outcome</code> returns a sample's raw HTML as plain text.</p>
+  </div>
+
+  <div class="endpoint">
+    <span class="method">GET</span> <code>/api/scrape/events</code>
+    <p>Server-Sent Events stream of live scrape progress: <code>status</code> on connect, then <code>phase</code>, <code>sitemap</code>, <code>tag</code>, <code>progress</code>, <code>article</code>, <code>author</code>, <code>profile</code>, <code>backfill</code>, <code>complete</code> and <code>error</code>.</p>
   </div>
 
   <div class="endpoint">
@@ -211,6 +492,12 @@ app.get('/docs', (req, res) => {
         "github": "https://github.com/johndoe",
         "website": "https://johndoe.com",
         "matchedKeywords": ["indie hacker", "solopreneur"],
+        "matchingArticles": 3,
+        "firstPublishedAt": "2025-03-02T09:00:00.000Z",
+        "lastPublishedAt": "2026-09-14T16:30:00.000Z",
+        "articlesPerMonth": 0.16,
+        "relevanceScore": 72.4,
+        "scoreBreakdown": { "articles": 19.3, "keywords": 25, "matchQuality": 13.3, "recency": 9.8, "bio": 5 },
         "sampleArticles": [...]
       }
     ],
@@ -375,6 +662,7 @@ app.get('/dashboard', (req, res) => {
       text-overflow: ellipsis;
       white-space: nowrap;
     }
+    .score { font-weight: 700; color: #06b6d4; cursor: help; }
     .keywords { display: flex; flex-wrap: wrap; gap: 4px; }
     .keyword {
       background: rgba(139, 92, 246, 0.2);
@@ -396,6 +684,7 @@ app.get('/dashboard', (req, res) => {
     .status-indicator { display: inline-flex; align-items: center; gap: 6px; }
     .status-dot { width: 8px; height: 8px; border-radius: 50%; background: #10b981; }
     .status-dot.scraping { background: #f59e0b; animation: pulse 1s infinite; }
+    .status-dot.warning { background: #ef4444; }
     @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
     .empty-state { text-align: center; padding: 60px 20px; color: #71717a; }
     .empty-state h3 { color: #a1a1aa; margin-bottom: 10px; }
@@ -409,6 +698,42 @@ app.get('/dashboard', (req, res) => {
       animation: spin 1s linear infinite;
     }
     @keyframes spin { to { transform: rotate(360deg); } }
+    .details-btn {
+      background: none;
+      border: 1px solid #3f3f46;
+      border-radius: 4px;
+      color: #a1a1aa;
+      font-size: 0.7rem;
+      padding: 2px 6px;
+      margin-top: 4px;
+      cursor: pointer;
+    }
+    .details-btn:hover { border-color: #8b5cf6; color: #8b5cf6; }
+    .drawer-overlay { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.5); display: none; }
+    .drawer-overlay.open { display: block; }
+    .drawer {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: min(560px, 100%);
+      background: #18181b;
+      border-left: 1px solid #3f3f46;
+      padding: 24px;
+      overflow-y: auto;
+      transform: translateX(100%);
+      transition: transform 0.2s;
+    }
+    .drawer.open { transform: translateX(0); }
+    .drawer h2 { color: #fff; font-size: 1.3rem; margin-bottom: 4px; }
+    .drawer h3 { color: #a1a1aa; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.5px; margin: 24px 0 10px; }
+    .drawer .close-btn { float: right; }
+    .drawer p { color: #a1a1aa; font-size: 0.9rem; margin: 8px 0; }
+    .drawer-list { list-style: none; }
+    .drawer-list li { padding: 10px 0; border-top: 1px solid #27272a; font-size: 0.85rem; }
+    .drawer-list a { color: #e4e4e7; text-decoration: none; }
+    .drawer-list a:hover { color: #8b5cf6; }
+    .drawer-meta { color: #71717a; font-size: 0.75rem; margin-top: 4px; }
     @media (max-width: 768px) {
       .header h1 { font-size: 1.4rem; }
       th, td { padding: 10px 12px; font-size: 0.8rem; }
@@ -468,6 +793,7 @@ app.get('/dashboard', (req, res) => {
       <table>
         <thead>
           <tr>
+            <th onclick="sortTable('relevanceScore')">Score</th>
             <th onclick="sortTable('name')">Author</th>
             <th onclick="sortTable('bio')">Bio</th>
             <th>Social Links</th>
@@ -475,7 +801,7 @@ app.get('/dashboard', (req, res) => {
           </tr>
         </thead>
         <tbody id="authorsTable">
-          <tr><td colspan="4" class="loading"><div class="spinner"></div></td></tr>
+          <tr><td colspan="5" class="loading"><div class="spinner"></div></td></tr>
         </tbody>
       </table>
     </div>
@@ -489,10 +815,13 @@ app.get('/dashboard', (req, res) => {
     </div>
   </div>
 
+  <div class="drawer-overlay" id="drawerOverlay" onclick="closeAuthor()"></div>
+  <aside class="drawer" id="authorDrawer"></aside>
+
   <script>
     let authors = [];
-    let sortField = 'name';
-    let sortAsc = true;
+    let sortField = 'relevanceScore';
+    let sortAsc = false;
 
     async function loadData() {
       try {
@@ -502,16 +831,25 @@ app.get('/dashboard', (req, res) => {
 
         if (!status.data.hasCachedResults) {
           document.getElementById('authorsTable').innerHTML =
-            '<tr><td colspan="4" class="empty-state"><h3>No Data Yet</h3><p>Click "Run Scrape" to find authors</p></td></tr>';
+            '<tr><td colspan="5" class="empty-state"><h3>No Data Yet</h3><p>Click "Run Scrape" to find authors</p></td></tr>';
           updateStats({}, status.data);
           return;
         }
 
-        const res = await fetch('/api/results');
-        const data = await res.json();
+        // Page through every author; filtering and sorting happen client-side
+        let data = null;
+        let all = [];
+        let cursor = '';
+        do {
+          const res = await fetch('/api/results?limit=500' + (cursor ? '&cursor=' + cursor : ''));
+          data = await res.json();
+          if (!data.success) break;
+          all = all.concat(data.data.authors);
+          cursor = data.data.nextCursor;
+        } while (cursor);
 
         if (data.success) {
-          authors = data.data.authors;
+          authors = all;
           updateStats(data.data.stats, status.data);
           renderTable();
           document.getElementById('lastUpdate').textContent =
@@ -520,7 +858,7 @@ app.get('/dashboard', (req, res) => {
       } catch (err) {
         console.error(err);
         document.getElementById('authorsTable').innerHTML =
-          '<tr><td colspan="4" class="empty-state"><h3>Error loading data</h3></td></tr>';
+          '<tr><td colspan="5" class="empty-state"><h3>Error loading data</h3></td></tr>';
       }
     }
 
@@ -543,17 +881,113 @@ app.get('/dashboard', (req, res) => {
         text.textContent = 'Scraping in progress...';
         btn.disabled = true;
         btn.textContent = 'Scraping...';
-        setTimeout(loadData, 5000);
       } else {
-        dot.className = 'status-dot';
+        const warning = (status.warnings || [])[0];
+        dot.className = warning ? 'status-dot warning' : 'status-dot';
         text.textContent = status.processedUrls > 0
           ? 'Ready (' + status.processedUrls + ' URLs cached)'
           : 'Ready - Click Run Scrape';
+        // e.g. PARSER_DRIFT - the last scrape couldn't read most article pages
+        if (warning) text.textContent += ' - ' + warning.code + ': ' + warning.message;
         btn.textContent = status.processedUrls > 0 ? 'Continue Scrape' : 'Run Scrape';
         btn.disabled = false;
       }
     }
 
+    const PHASE_LABELS = {
+      discovering: 'Discovering articles',
+      processing: 'Processing articles',
+      enriching: 'Fetching social links',
+      backfilling: 'Walking author article lists',
+      done: 'Finishing up',
+      cancelled: 'Cancelling'
+    };
+
+    function showProgress(progress, detail) {
+      const dot = document.getElementById('statusDot');
+      const btn = document.getElementById('scrapeBtn');
+      dot.className = 'status-dot scraping';
+      btn.disabled = true;
+      btn.textContent = 'Scraping...';
+
+      let text = PHASE_LABELS[progress.phase] || 'Scraping';
+      if (progress.phase === 'discovering') {
+        text += ' (' + (progress.articlesFound || 0) + ' found)';
+      } else if (progress.phase === 'processing') {
+        text += ' (' + progress.articlesProcessed + '/' + progress.articlesFound + ', ' +
+          progress.articlesMatched + ' matched, ' + progress.newAuthors + ' new authors)';
+      } else if (progress.phase === 'enriching') {
+        text += ' (' + progress.profilesFetched + '/' + progress.profilesTotal + ')';
+      } else if (progress.phase === 'backfilling') {
+        text += ' (' + progress.backfilled + '/' + progress.backfillTotal + ')';
+      }
+      if (detail) text += ' - ' + detail;
+      document.getElementById('statusText').textContent = text;
+    }
+
+    // Live progress from the server instead of polling /api/status
+    function connectEvents() {
+      const source = new EventSource('/api/scrape/events');
+      let progress = { phase: 'discovering' };
+
+      source.addEventListener('status', e => {
+        const data = JSON.parse(e.data);
+        if (data.job && data.job.progress) {
+          progress = data.job.progress;
+          showProgress(progress);
+        }
+      });
+      source.addEventListener('phase', e => {
+        progress.phase = JSON.parse(e.data).phase;
+        showProgress(progress);
+      });
+      source.addEventListener('progress', e => {
+        progress = JSON.parse(e.data);
+        showProgress(progress);
+      });
+      source.addEventListener('sitemap', e => {
+        const data = JSON.parse(e.data);
+        progress.articlesFound = (progress.articlesFound || 0) + data.articles;
+        showProgress(progress, 'sitemap fetched');
+      });
+      source.addEventListener('tag', e => {
+        const data = JSON.parse(e.data);
+        progress.articlesFound = (progress.articlesFound || 0) + data.articles;
+        showProgress(progress, '#' + data.tag);
+      });
+      source.addEventListener('article', e => {
+        const data = JSON.parse(e.data);
+        progress.articlesMatched = (progress.articlesMatched || 0) + 1;
+        showProgress(progress, 'matched "' + data.title + '"');
+      });
+      source.addEventListener('author', e => {
+        const data = JSON.parse(e.data);
+        progress.newAuthors = (progress.newAuthors || 0) + 1;
+        showProgress(progress, 'new author @' + data.handle);
+      });
+      source.addEventListener('profile', e => {
+        const data = JSON.parse(e.data);
+        progress.profilesFetched = (progress.profilesFetched || 0) + 1;
+        showProgress(progress, 'enriched @' + data.handle);
+      });
+      source.addEventListener('backfill', e => {
+        const data = JSON.parse(e.data);
+        progress.backfilled = (progress.backfilled || 0) + 1;
+        showProgress(progress, '@' + data.handle + ' ' + data.articlesMatched + '/' + data.articlesListed + ' matching');
+      });
+      source.addEventListener('complete', () => {
+        progress = { phase: 'discovering' };
+        loadData();
+      });
+      source.addEventListener('error', e => {
+        // EventSource also fires a bare 'error' when the connection drops; it reconnects on its own
+        if (!e.data) return;
+        progress = { phase: 'discovering' };
+        alert('Scrape failed: ' + JSON.parse(e.data).error.message);
+        loadData();
+      });
+    }
+
     function renderTable() {
       const search = document.getElementById('searchBox').value.toLowerCase();
       let filtered = authors.filter(a =>
@@ -569,34 +1003,48 @@ app.get('/dashboard', (req, res) => {
           valA = a.matchedKeywords?.join(',') || '';
           valB = b.matchedKeywords?.join(',') || '';
         }
+        if (sortField === 'relevanceScore') {
+          valA = a.relevanceScore || 0;
+          valB = b.relevanceScore || 0;
+          return sortAsc ? valA - valB : valB - valA;
+        }
         return sortAsc ? valA.localeCompare(valB) : valB.localeCompare(valA);
       });
 
       if (filtered.length === 0) {
         document.getElementById('authorsTable').innerHTML =
-          '<tr><td colspan="4" class="empty-state"><h3>No matching authors</h3></td></tr>';
+          '<tr><td colspan="5" class="empty-state"><h3>No matching authors</h3></td></tr>';
         return;
       }
 
+      // Everything here comes from scraped pages - escape it all
       document.getElementById('authorsTable').innerHTML = filtered.map(a => {
-        const escapeBio = (a.bio || '').replace(/"/g, '&quot;');
+        const breakdown = a.scoreBreakdown
+          ? Object.keys(a.scoreBreakdown).map(function(k) { return k + ': ' + a.scoreBreakdown[k]; }).join(', ')
+          : '';
+        const social = function(field, label, text) {
+          const url = safeUrl(a[field]);
+          return '<a href="' + esc(url || '#') + '" target="_blank" rel="noopener" class="social-link ' + field + ' ' + (url ? '' : 'disabled') + '" title="' + label + '">' + text + '</a>';
+        };
         return '<tr>' +
+          '<td><span class="score" title="' + esc(breakdown) + '">' + esc(a.relevanceScore ?? '-') + '</span></td>' +
           '<td>' +
-            '<a href="' + a.profileUrl + '" target="_blank" class="author-name">' + (a.name || a.handle) + '</a>' +
-            '<div class="author-handle">@' + a.handle + '</div>' +
+            '<a href="' + esc(safeUrl(a.profileUrl) || '#') + '" target="_blank" rel="noopener" class="author-name">' + esc(a.name || a.handle) + '</a>' +
+            '<div class="author-handle">@' + esc(a.handle) + '</div>' +
+            '<button class="details-btn" data-handle="' + esc(a.handle) + '" onclick="showAuthor(this.dataset.handle)">Details</button>' +
           '</td>' +
-          '<td><div class="author-bio" title="' + escapeBio + '">' + (a.bio || '-') + '</div></td>' +
+          '<td><div class="author-bio" title="' + esc(a.bio) + '">' + esc(a.bio || '-') + '</div></td>' +
           '<td>' +
             '<div class="social-links">' +
-              '<a href="' + (a.twitter || '#') + '" target="_blank" class="social-link twitter ' + (a.twitter ? '' : 'disabled') + '" title="Twitter">X</a>' +
-              '<a href="' + (a.linkedin || '#') + '" target="_blank" class="social-link linkedin ' + (a.linkedin ? '' : 'disabled') + '" title="LinkedIn">in</a>' +
-              '<a href="' + (a.github || '#') + '" target="_blank" class="social-link github ' + (a.github ? '' : 'disabled') + '" title="GitHub">GH</a>' +
-              '<a href="' + (a.website || '#') + '" target="_blank" class="social-link website ' + (a.website ? '' : 'disabled') + '" title="Website">W</a>' +
+              social('twitter', 'Twitter', 'X') +
+              social('linkedin', 'LinkedIn', 'in') +
+              social('github', 'GitHub', 'GH') +
+              social('website', 'Website', 'W') +
             '</div>' +
           '</td>' +
           '<td>' +
             '<div class="keywords">' +
-              (a.matchedKeywords || []).map(function(k) { return '<span class="keyword">' + k + '</span>'; }).join('') +
+              (a.matchedKeywords || []).map(function(k) { return '<span class="keyword">' + esc(k) + '</span>'; }).join('') +
             '</div>' +
           '</td>' +
         '</tr>';
@@ -605,24 +1053,114 @@ app.get('/dashboard', (req, res) => {
 
     function filterTable() { renderTable(); }
 
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, function(c) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+      });
+    }
+
+    // Only http(s) links are rendered; anything else (javascript:, data:) becomes ''
+    function safeUrl(value) {
+      return /^https?:[/][/]/i.test(String(value || '')) ? String(value) : '';
+    }
+
+    function fmtDate(value) {
+      return value ? new Date(value).toLocaleDateString() : '-';
+    }
+
+    async function showAuthor(handle) {
+      const drawer = document.getElementById('authorDrawer');
+      drawer.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+      drawer.classList.add('open');
+      document.getElementById('drawerOverlay').classList.add('open');
+
+      try {
+        const res = await fetch('/api/authors/' + encodeURIComponent(handle));
+        const data = await res.json();
+        if (!data.success) {
+          drawer.innerHTML = '<p>' + esc(data.error.message) + '</p>';
+          return;
+        }
+        const a = data.data;
+        const links = ['twitter', 'linkedin', 'github', 'website']
+          .filter(function(k) { return a[k]; })
+          .map(function(k) { return '<a href="' + esc(safeUrl(a[k]) || '#') + '" target="_blank" rel="noopener" class="social-link ' + k + '">' + esc(k.slice(0, 2).toUpperCase()) + '</a>'; })
+          .join('');
+
+        drawer.innerHTML =
+          '<button class="btn btn-secondary close-btn" onclick="closeAuthor()">Close</button>' +
+          '<h2>' + esc(a.name || a.handle) + '</h2>' +
+          '<div class="author-handle"><a href="' + esc(safeUrl(a.profileUrl) || '#') + '" target="_blank" rel="noopener" class="author-handle">@' + esc(a.handle) + '</a>' +
+            (a.relevanceScore !== undefined ? ' &middot; score ' + esc(a.relevanceScore) : '') + '</div>' +
+          '<p>' + esc(a.bio || 'No bio') + '</p>' +
+          '<div class="social-links">' + (links || '<span class="drawer-meta">No social links</span>') + '</div>' +
+          '<h3>Matched Articles (' + a.articles.length + ')</h3>' +
+          '<ul class="drawer-list">' + a.articles.map(function(art) {
+            return '<li><a href="' + esc(safeUrl(art.url) || '#') + '" target="_blank">' + esc(art.title) + '</a>' +
+              '<div class="drawer-meta">Published ' + fmtDate(art.publishedAt) + ' &middot; first seen ' + fmtDate(art.firstSeenAt) + '</div>' +
+              '<div class="keywords">' + (art.keywords || []).map(function(k) { return '<span class="keyword">' + esc(k) + '</span>'; }).join('') + '</div></li>';
+          }).join('') + '</ul>' +
+          '<h3>Runs (' + a.runs.length + ')</h3>' +
+          '<ul class="drawer-list">' + (a.runs.map(function(run) {
+            return '<li>Run #' + run.runNumber + ' &middot; ' + new Date(run.time).toLocaleString() +
+              '<div class="drawer-meta">' + run.newAuthors + ' new authors, ' + run.articlesProcessed + ' articles processed</div></li>';
+          }).join('') || '<li class="drawer-meta">Found before runs were tracked</li>') + '</ul>' +
+          '<h3>Enrichment History</h3>' +
+          '<ul class="drawer-list">' + (a.enrichmentHistory.map(function(e) {
+            return '<li>' + new Date(e.at).toLocaleString() + ' &middot; ' +
+              (e.ok ? 'found ' + (e.found.length ? esc(e.found.join(', ')) : 'no links') : 'profile fetch failed') + '</li>';
+          }).join('') || '<li class="drawer-meta">Profile not fetched yet</li>') + '</ul>';
+      } catch (err) {
+        console.error(err);
+        drawer.innerHTML = '<p>Error loading author</p>';
+      }
+    }
+
+    function closeAuthor() {
+      document.getElementById('authorDrawer').classList.remove('open');
+      document.getElementById('drawerOverlay').classList.remove('open');
+    }
+
     function sortTable(field) {
       if (sortField === field) {
         sortAsc = !sortAsc;
       } else {
         sortField = field;
-        sortAsc = true;
+        // Scores read best-first, text columns A-Z
+        sortAsc = field !== 'relevanceScore';
       }
       renderTable();
     }
 
+    // Mutating routes need an API key when the server has any configured;
+    // ask once and keep it in this browser
+    async function apiFetch(url, options = {}) {
+      const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'X-API-Key': localStorage.getItem('apiKey') || '' }
+      });
+      let res = await send();
+      if (res.status === 401) {
+        const key = prompt('API key');
+        if (!key) return res;
+        localStorage.setItem('apiKey', key);
+        res = await send();
+      }
+      return res;
+    }
+
     async function startScrape() {
       const btn = document.getElementById('scrapeBtn');
       btn.disabled = true;
       btn.textContent = 'Starting...';
 
       try {
-        fetch('/api/scrape', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
-        setTimeout(loadData, 2000);
+        const res = await apiFetch('/api/scrape', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        const data = await res.json();
+        if (!data.success) {
+          alert(data.error.message);
+        }
+        loadData();
       } catch (err) {
         alert('Failed to start scrape');
         btn.disabled = false;
@@ -636,7 +1174,12 @@ app.get('/dashboard', (req, res) => {
     async function resetData() {
       if (!confirm('This will clear all scraped data. Continue?')) return;
       try {
-        await fetch('/api/reset', { method: 'POST' });
+        const res = await apiFetch('/api/reset', { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) {
+          alert(data.error.message);
+          return;
+        }
         authors = [];
         loadData();
       } catch (err) {
@@ -645,6 +1188,7 @@ app.get('/dashboard', (req, res) => {
     }
 
     loadData();
+    connectEvents();
   </script>
 </body>
 </html>`);
@@ -660,11 +1204,25 @@ app.get('/mcp-tool.json', (req, res) => {
       properties: {
         sitemapsToCheck: {
           type: 'number',
-          description: 'Number of sitemaps to check (default: 10)'
+          description: 'Number of sitemaps to check, 0 to skip sitemaps (default: 10)'
         },
         maxArticlesPerSitemap: {
           type: 'number',
-          description: 'Max articles per sitemap (default: 150)'
+          description: 'Max articles per sitemap, 0 to skip sitemaps (default: 150)'
+        },
+        tagPagesPerTag: {
+          type: 'number',
+          description: 'Listing pages to crawl per HackerNoon tag, 0 to skip tag discovery (default: 3)'
+        },
+        keywords: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Custom search keywords to match against article titles and excerpts (default: built-in indie hacker keywords)'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Custom HackerNoon tag slugs to match (default: built-in indie hacker tags)'
         }
       },
       required: []
@@ -676,10 +1234,12 @@ app.get('/mcp-tool.json', (req, res) => {
 
 // GET /api/status - Check scrape status
 app.get('/api/status', (req, res) => {
+  const parser = storage.getSetting('parserHealth');
   res.json({
     success: true,
     data: {
       scrapeInProgress,
+      currentJobId: currentJob?.id || null,
       lastScrapeTime,
       hasCachedResults: !!cachedResults,
       cachedAuthorsCount: cachedResults?.authors?.length || 0,
@@ -687,13 +1247,48 @@ app.get('/api/status', (req, res) => {
       processedUrls: scraperState?.processedUrls?.length || 0,
       processedProfiles: scraperState?.processedProfiles?.length || 0,
       scrapeRuns: scrapeHistory.length,
+      schedule: scheduler.status(),
+      crawler: fetcher.status(),
+      // Article parse outcomes from the last scrape; PARSER_DRIFT means HackerNoon's markup may have changed
+      parser,
+      warnings: parser?.warning ? [parser.warning] : [],
+      // The caller's own counters
+      limits: {
+        client: clientId(req),
+        exempt: !!req.apiKey?.admin,
+        requests: rateLimiter.enabled ? { perMinute: rateLimiter.limit, remaining: rateLimiter.peek(clientId(req)).remaining } : null,
+        scrapes: scrapeQuota.enabled ? scrapeQuota.peek(clientId(req)) : null
+      },
       lastRunNewAuthors: cachedResults?.stats?.newAuthorsThisRun || 0
     },
     meta: { credits: 0, processingMs: 0 }
   });
 });
 
-// GET /api/results - Get cached results
+// Results as returned to clients - the scraper state holds every processed URL and stays internal
+function publicResults(results) {
+  const { state, ...rest } = results;
+  return rest;
+}
+
+// Raw author records and every matched article per author, rebuilt when the state changes
+let stateIndex = { state: null, authors: null, articles: null };
+function getStateIndex() {
+  if (stateIndex.state !== scraperState) {
+    stateIndex = {
+      state: scraperState,
+      authors: new Map(scraperState?.authorsMap || []),
+      articles: new Map(scraperState?.authorArticles || [])
+    };
+  }
+  return stateIndex;
+}
+
+function getArticlesByHandle() {
+  return getStateIndex().articles;
+}
+
+// GET /api/results - Get cached results, filtered and paginated
 app.get('/api/results', (req, res) => {
   if (!cachedResults) {
     return res.status(404).json({
@@ -702,157 +1297,934 @@ app.get('/api/results', (req, res) => {
     });
   }
 
+  const { filters, error } = parseAuthorQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  const startMs = Date.now();
+  const page = queryAuthors(cachedResults.authors, filters, getArticlesByHandle());
+
   res.json({
     success: true,
-    data: cachedResults,
-    meta: { credits: 0, processingMs: 0, cachedAt: lastScrapeTime }
+    data: {
+      ...publicResults(cachedResults),
+      authors: page.authors,
+      total: page.total,
+      nextCursor: page.nextCursor
+    },
+    meta: {
+      credits: 0,
+      processingMs: Date.now() - startMs,
+      cachedAt: lastScrapeTime,
+      sort: filters.sort,
+      limit: filters.limit
+    }
   });
 });
 
-// POST /api/scrape - Run scraper (supports continuation)
-app.post('/api/scrape', async (req, res) => {
+// POST /api/authors/refresh - Re-fetch stale (or selected) author profiles in the background
+app.post('/api/authors/refresh', (req, res) => {
   if (scrapeInProgress) {
     return res.status(409).json({
       success: false,
-      error: { code: 'SCRAPE_IN_PROGRESS', message: 'A scrape is already in progress. Please wait.' }
+      error: {
+        code: 'SCRAPE_IN_PROGRESS',
+        message: 'A scrape is already in progress. Please wait.',
+        jobId: currentJob?.id
+      }
     });
   }
 
-  const startMs = Date.now();
-  scrapeInProgress = true;
-
-  try {
-    const { sitemapsToCheck, maxArticlesPerSitemap, reset = false } = req.body || {};
-
-    if (reset) {
-      scraperState = null;
-      cachedResults = null;
-      scrapeHistory = [];
-      console.log('State reset - starting fresh');
-    }
-
-    const scraper = new HackerNoonScraper(scraperState);
-
-    const results = await scraper.scrape({
-      sitemapsToCheck: sitemapsToCheck || 10,
-      maxArticlesPerSitemap: maxArticlesPerSitemap || 150
-    });
-
-    scraperState = results.state;
-    cachedResults = results;
-    lastScrapeTime = new Date().toISOString();
-
-    scrapeHistory.push({
-      time: lastScrapeTime,
-      newAuthors: results.stats.newAuthorsThisRun,
-      totalAuthors: results.stats.totalAuthors,
-      articlesProcessed: results.stats.articlesProcessed
+  if (!scraperState) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NO_RESULTS', message: 'No authors to refresh. Run POST /api/scrape first.' }
     });
+  }
 
-    // Persist data to file
-    savePersistedData();
-
-    res.json({
-      success: true,
-      data: results,
-      meta: {
-        credits: 50,
-        processingMs: Date.now() - startMs,
-        runNumber: scrapeHistory.length
-      }
+  const { handles, maxAgeDays } = req.body || {};
+  if (handles !== undefined && (!Array.isArray(handles) || !handles.every(h => typeof h === 'string'))) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: 'handles must be an array of strings' }
     });
-
-  } catch (error) {
-    console.error('Scrape error:', error);
-    res.status(500).json({
+  }
+  if (maxAgeDays !== undefined && (typeof maxAgeDays !== 'number' || maxAgeDays < 0)) {
+    return res.status(400).json({
       success: false,
-      error: { code: 'SCRAPE_FAILED', message: error.message || 'Scraping failed' }
+      error: { code: 'INVALID_REQUEST', message: 'maxAgeDays must be a non-negative number' }
     });
-  } finally {
-    scrapeInProgress = false;
   }
-});
-
-// POST /api/reset - Clear all cached data and state
-app.post('/api/reset', (req, res) => {
-  scraperState = null;
-  cachedResults = null;
-  scrapeHistory = [];
-  lastScrapeTime = null;
 
-  // Delete persisted file
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      fs.unlinkSync(DATA_FILE);
-    }
-  } catch (err) {
-    console.error('Error deleting data file:', err.message);
-  }
+  const job = startJob('refresh', {
+    handles: handles && handles.map(h => h.replace(/^@/, '')),
+    maxAgeDays
+  }, { trigger: 'api' });
 
-  res.json({
+  res.status(202).json({
     success: true,
-    data: { message: 'All data and state cleared' },
+    data: {
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    },
     meta: { credits: 0, processingMs: 0 }
   });
 });
 
-// GET /api/csv - Download results as CSV
-app.get('/api/csv', (req, res) => {
-  if (!cachedResults) {
+// GET /api/authors/:handle - One author with full article, run and enrichment history
+app.get('/api/authors/:handle', (req, res) => {
+  const handle = req.params.handle.replace(/^@/, '').toLowerCase();
+  const { authors, articles } = getStateIndex();
+  const profile = cachedResults?.authors?.find(a => a.handle.toLowerCase() === handle);
+
+  if (!profile) {
     return res.status(404).json({
       success: false,
-      error: { code: 'NO_RESULTS', message: 'No cached results. Run POST /api/scrape first.' }
+      error: { code: 'AUTHOR_NOT_FOUND', message: `No matched author with handle ${req.params.handle}` }
     });
   }
 
-  const headers = ['Author Name', 'Handle', 'Profile URL', 'Bio', 'Twitter/X', 'LinkedIn', 'GitHub', 'Website', 'Matched Keywords', 'Sample Articles'];
-  const rows = cachedResults.authors.map(a => [
-    `"${(a.name || '').replace(/"/g, '""')}"`,
-    a.handle,
-    a.profileUrl,
-    `"${(a.bio || '').replace(/"/g, '""')}"`,
-    a.twitter || '',
-    a.linkedin || '',
-    a.github || '',
-    a.website || '',
-    `"${a.matchedKeywords?.join(', ') || ''}"`,
-    `"${a.sampleArticles?.map(s => s.title).join(' | ') || ''}"`
-  ]);
-
-  const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename=hackernoon_authors_${new Date().toISOString().split('T')[0]}.csv`);
-  res.send(csv);
+  const raw = authors.get(profile.handle) || {};
+  const authorArticles = (articles.get(profile.handle) || []).map(a => ({
+    title: a.title,
+    url: a.url,
+    keywords: a.keywords,
+    titleMatches: a.titleMatches || [],
+    tagMatches: a.tagMatches || [],
+    publishedAt: a.publishedAt || null,
+    source: a.source || null,
+    readingTimeMinutes: a.readingTimeMinutes ?? null,
+    reactions: a.reactions ?? null,
+    comments: a.comments ?? null,
+    tags: a.tags || [],
+    sponsored: !!a.sponsored,
+    techCompanyNews: !!a.techCompanyNews,
+    firstSeenAt: a.seenAt || null,
+    runId: a.runId || null
+  }));
+
+  // Runs where the author matched an article or had their profile fetched
+  const runIds = new Set([
+    ...authorArticles.map(a => a.runId),
+    ...(raw.enrichments || []).map(e => e.runId),
+    ...(raw.changes || []).map(c => c.runId)
+  ].filter(Boolean));
+  const runs = scrapeHistory
+    .map((run, i) => ({ runNumber: i + 1, ...run }))
+    .filter(run => run.jobId && runIds.has(run.jobId));
+
+  const { sampleArticles, ...rest } = profile;
+  res.json({
+    success: true,
+    data: {
+      ...rest,
+      articles: authorArticles,
+      runs,
+      enrichmentHistory: raw.enrichments || [],
+      changeHistory: raw.changes || []
+    },
+    meta: { credits: 0, processingMs: 0, cachedAt: lastScrapeTime }
+  });
 });
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({
+// Runs are addressed by job ID, or by run number for runs from before job IDs existed
+function findRunIndex(id) {
+  const byId = scrapeHistory.findIndex(run => run.jobId === id);
+  if (byId !== -1) return byId;
+  const n = Number(id);
+  return Number.isInteger(n) && n >= 1 && n <= scrapeHistory.length ? n - 1 : -1;
+}
+
+function runSummary(index) {
+  if (index < 0) return null;
+  return { runNumber: index + 1, id: scrapeHistory[index].jobId || null, ...scrapeHistory[index] };
+}
+
+// GET /api/runs - Scrape run history, newest first
+app.get('/api/runs', (req, res) => {
+  res.json({
+    success: true,
+    data: scrapeHistory.map((run, i) => runSummary(i)).reverse(),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/runs/:id/diff?against=:otherId - Authors added, with new articles,
+// or with changed bio/links between two runs (default: the run before)
+app.get('/api/runs/:id/diff', (req, res) => {
+  const startTime = Date.now();
+  const targetIndex = findRunIndex(req.params.id);
+  if (targetIndex === -1) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'RUN_NOT_FOUND', message: `No scrape run with id ${req.params.id}` }
+    });
+  }
+
+  let baseIndex = targetIndex - 1;
+  if (req.query.against !== undefined) {
+    baseIndex = findRunIndex(String(req.query.against));
+    if (baseIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'RUN_NOT_FOUND', message: `No scrape run with id ${req.query.against}` }
+      });
+    }
+  }
+
+  if (!cachedResults) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NO_RESULTS', message: 'No cached results available. Run POST /api/scrape first.' }
+    });
+  }
+
+  // Order doesn't matter - the diff always runs from the older run to the newer one
+  const [from, to] = [Math.min(baseIndex, targetIndex), Math.max(baseIndex, targetIndex)];
+  const runIds = new Set(scrapeHistory.slice(from + 1, to + 1).map(run => run.jobId).filter(Boolean));
+  const { authors, articles } = getStateIndex();
+  const diff = diffRuns({ authors: cachedResults.authors, rawAuthors: authors, articlesByHandle: articles, runIds });
+
+  res.json({
+    success: true,
+    data: {
+      from: runSummary(from),
+      to: runSummary(to),
+      summary: {
+        added: diff.added.length,
+        withNewArticles: diff.newArticles.length,
+        changed: diff.changed.length
+      },
+      ...diff
+    },
+    meta: { credits: 0, processingMs: Date.now() - startTime }
+  });
+});
+
+// Public view of a job - the scraper instance and promise stay internal
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    trigger: job.trigger,
+    status: job.status,
+    phase: job.scraper ? job.scraper.progress.phase : 'queued',
+    progress: job.scraper ? { ...job.scraper.progress } : null,
+    options: job.options,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    stats: job.stats,
+    error: job.error,
+    resumed: !!job.resumed
+  };
+}
+
+function rememberJob(job) {
+  jobs.set(job.id, job);
+  // Drop the oldest finished jobs once we go over the cap
+  for (const [id, old] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (old !== currentJob) jobs.delete(id);
+  }
+}
+
+// Persist the scraper's progress mid-run so a crash loses at most one checkpoint interval
+function saveCheckpoint(job, checkpoint) {
+  try {
+    scraperState = checkpoint.state;
+    storage.saveState(checkpoint.state);
+    storage.saveCheckpoint({
+      jobId: job.id,
+      options: job.options,
+      createdAt: job.createdAt,
+      run: checkpoint.run
+    });
+    storage.flush();
+  } catch (err) {
+    console.error('Error saving checkpoint:', err.message);
+  }
+}
+
+// type is 'scrape' (discover and process articles) or 'refresh' (re-fetch author profiles only);
+// trigger records who started it: 'api', 'schedule' or 'resume'
+// charge ({ keyName, route, credits }) is billed to the key once the job completes
+function startJob(type, options, { trigger = 'api', id = crypto.randomUUID(), createdAt = new Date().toISOString(), resume = null, charge = null } = {}) {
+  const job = {
+    id,
+    type,
+    trigger,
+    status: 'queued',
+    options,
+    createdAt,
+    startedAt: null,
+    finishedAt: null,
+    stats: null,
+    error: null,
+    scraper: null,
+    cancelRequested: false,
+    charge
+  };
+
+  scrapeInProgress = true;
+  currentJob = job;
+  rememberJob(job);
+  job.promise = runScrapeJob(job, resume);
+  return job;
+}
+
+// Run a scrape in the background, updating the job record as it goes
+async function runScrapeJob(job, resume = null) {
+  const { sitemapsToCheck, maxArticlesPerSitemap, tagPagesPerTag, backfillPages, keywords, tags, keywordWeights, skipSponsored, reset } = job.options;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    if (reset && !resume) {
+      clearPersistedData();
+      console.log('State reset - starting fresh');
+    }
+
+    // A refresh keeps scoring against the keywords of the run that produced the results
+    job.scraper = job.type === 'refresh'
+      ? new HackerNoonScraper(scraperState, { ...cachedResults?.query, runId: job.id, fetcher })
+      : new HackerNoonScraper(scraperState, { keywords, tags, keywordWeights, skipSponsored, runId: job.id, fetcher });
+    if (job.cancelRequested) job.scraper.cancel();
+    for (const event of SCRAPER_EVENTS) {
+      job.scraper.on(event, data => broadcast(event, { jobId: job.id, ...data }));
+    }
+    job.scraper.on('checkpoint', checkpoint => saveCheckpoint(job, checkpoint));
+
+    const { newAuthors = [], parseSamples, ...results } = job.type === 'refresh'
+      ? await job.scraper.refreshProfiles({
+        handles: job.options.handles,
+        maxAgeDays: job.options.maxAgeDays ?? PROFILE_TTL_DAYS
+      })
+      : await job.scraper.scrape({
+        sitemapsToCheck: sitemapsToCheck ?? 10,
+        maxArticlesPerSitemap: maxArticlesPerSitemap ?? 150,
+        tagPagesPerTag: tagPagesPerTag ?? 3,
+        backfillPages: backfillPages || 0,
+        checkpointEvery: parseInt(process.env.CHECKPOINT_EVERY, 10) || 25,
+        profileTtlDays: PROFILE_TTL_DAYS,
+        backfillTtlDays: BACKFILL_TTL_DAYS,
+        resume
+      });
+
+    scraperState = results.state;
+    cachedResults = results;
+    lastScrapeTime = new Date().toISOString();
+
+    recordRun({
+      time: lastScrapeTime,
+      jobId: job.id,
+      type: job.type,
+      trigger: job.trigger,
+      newAuthors: results.stats.newAuthorsThisRun,
+      totalAuthors: results.stats.totalAuthors,
+      articlesProcessed: results.stats.articlesProcessed,
+      profilesRefreshed: results.stats.profilesRefreshed,
+      warnings: (results.stats.warnings || []).map(w => w.code),
+      cancelled: results.stats.cancelled
+    });
+    if (results.stats.parse) {
+      saveParseReport(storage, { runId: job.id, parse: results.stats.parse, samples: parseSamples });
+    }
+
+    // Persist data - a cancelled run still keeps what it processed
+    storage.clearCheckpoint();
+    savePersistedData();
+
+    job.status = results.stats.cancelled ? 'cancelled' : 'completed';
+    job.stats = results.stats;
+    job.runNumber = scrapeHistory.length;
+    // Failed and cancelled jobs cost nothing
+    if (job.charge && job.status === 'completed') {
+      usage.record(job.charge.keyName, job.charge.route, job.charge.credits, { countRequest: false });
+    }
+
+    if (newAuthors.length) {
+      webhooks.publish('authors.new', {
+        jobId: job.id,
+        trigger: job.trigger,
+        runNumber: job.runNumber,
+        newAuthors: newAuthors.length,
+        totalAuthors: results.stats.totalAuthors,
+        authors: newAuthors
+      });
+    }
+  } catch (error) {
+    console.error('Scrape error:', error);
+    job.status = 'failed';
+    job.error = job.type === 'refresh'
+      ? { code: 'REFRESH_FAILED', message: error.message || 'Profile refresh failed' }
+      : { code: error.code === 'TOPIC_CHANGED' ? error.code : 'SCRAPE_FAILED', message: error.message || 'Scraping failed' };
+    // Keep whatever the last checkpoint saved, but don't retry the failure on every restart
+    try {
+      storage.clearCheckpoint();
+      storage.flush();
+    } catch (err) {
+      console.error('Error clearing checkpoint:', err.message);
+    }
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    scrapeInProgress = false;
+    currentJob = null;
+  }
+
+  if (job.status === 'failed') {
+    broadcast('error', { jobId: job.id, error: job.error });
+  } else {
+    broadcast('complete', { jobId: job.id, status: job.status, runNumber: job.runNumber, stats: job.stats });
+  }
+}
+
+function topicChangedError() {
+  return {
+    code: 'TOPIC_CHANGED',
+    message: 'Stored results were built for a different keyword/tag set. Send "reset": true to start over with the new one (POST /api/reset for a schedule).'
+  };
+}
+
+// What a successful scrape costs
+const SCRAPE_CREDITS = 50;
+
+// Validate a scrape request body into job options. Returns { options } or { error: message }.
+function parseScrapeOptions(body) {
+  const { sitemapsToCheck, maxArticlesPerSitemap, tagPagesPerTag, backfillPages, keywords, tags, keywordWeights, skipSponsored = false, reset = false } = body || {};
+
+  for (const [field, value] of Object.entries({ keywords, tags })) {
+    if (value !== undefined && (!Array.isArray(value) || !value.every(v => typeof v === 'string'))) {
+      return { error: `${field} must be an array of strings` };
+    }
+  }
+
+  for (const [field, value] of Object.entries({ sitemapsToCheck, maxArticlesPerSitemap, tagPagesPerTag, backfillPages })) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+  }
+
+  if (keywordWeights !== undefined && (
+    !keywordWeights || typeof keywordWeights !== 'object' || Array.isArray(keywordWeights) ||
+    !Object.values(keywordWeights).every(w => typeof w === 'number' && Number.isFinite(w))
+  )) {
+    return { error: 'keywordWeights must map keywords to numbers' };
+  }
+
+  if (typeof skipSponsored !== 'boolean') {
+    return { error: 'skipSponsored must be a boolean' };
+  }
+
+  return {
+    options: {
+      sitemapsToCheck,
+      maxArticlesPerSitemap,
+      tagPagesPerTag,
+      backfillPages,
+      keywords,
+      tags,
+      keywordWeights: keywordWeights && Object.fromEntries(Object.entries(keywordWeights).map(([k, w]) => [k.trim().toLowerCase(), w])),
+      skipSponsored,
+      reset: !!reset
+    }
+  };
+}
+
+// POST /api/scrape - Start a background scrape job (supports continuation)
+app.post('/api/scrape', requireScrapeQuota, async (req, res) => {
+  if (scrapeInProgress) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'SCRAPE_IN_PROGRESS',
+        message: 'A scrape is already in progress. Please wait.',
+        jobId: currentJob?.id
+      }
+    });
+  }
+
+  const { wait = false } = req.body || {};
+  const { options, error } = parseScrapeOptions(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  if (!options.reset && topicChanged(scraperState, options)) {
+    return res.status(409).json({ success: false, error: topicChangedError() });
+  }
+
+  const startMs = Date.now();
+  // A blocking request is charged through its response; a background job when it completes
+  const charge = wait ? null : { keyName: req.apiKey?.name || 'anonymous', route: 'POST /api/scrape', credits: SCRAPE_CREDITS };
+  const job = startJob('scrape', options, { trigger: 'api', charge });
+
+  // Legacy blocking mode for callers that can hold the connection open
+  if (wait) {
+    await job.promise;
+    if (job.status === 'failed') {
+      return res.status(500).json({ success: false, error: job.error });
+    }
+    if (job.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SCRAPE_CANCELLED', message: 'The scrape was cancelled before it finished. Articles processed so far are kept for the next run.' }
+      });
+    }
+    return res.json({
+      success: true,
+      data: publicResults(cachedResults),
+      meta: {
+        credits: SCRAPE_CREDITS,
+        processingMs: Date.now() - startMs,
+        runNumber: job.runNumber,
+        jobId: job.id
+      }
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    },
+    meta: { credits: 0, processingMs: Date.now() - startMs }
+  });
+});
+
+// GET /api/schedule - Recurring scrape configuration and last/next run
+app.get('/api/schedule', (req, res) => {
+  res.json({
+    success: true,
+    data: scheduler.status(),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// PUT /api/schedule - Enable or change the recurring scrape
+app.put('/api/schedule', (req, res) => {
+  const { intervalMinutes, options = {} } = req.body || {};
+  const scheduleError = Scheduler.validate({ intervalMinutes, options });
+  const parsed = scheduleError ? null : parseScrapeOptions(options);
+  const error = scheduleError || parsed.error;
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  // Scheduled runs always continue from the current state
+  const { reset, ...scrapeOptions } = parsed.options;
+  if (topicChanged(scraperState, scrapeOptions)) {
+    return res.status(409).json({ success: false, error: topicChangedError() });
+  }
+  const config = { intervalMinutes, options: scrapeOptions, source: 'api' };
+  scheduler.start(config);
+  storage.saveSetting('schedule', { ...config, enabled: true });
+
+  res.json({
+    success: true,
+    data: scheduler.status(),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// DELETE /api/schedule - Turn the recurring scrape off
+app.delete('/api/schedule', (req, res) => {
+  scheduler.stop();
+  storage.saveSetting('schedule', { ...scheduler.config, enabled: false, source: 'api' });
+
+  res.json({
+    success: true,
+    data: scheduler.status(),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// Shared 404 for the /api/webhooks/:id routes
+function webhookNotFound(res, id) {
+  return res.status(404).json({
     success: false,
-    error: { code: 'INTERNAL_ERROR', message: 'An internal error occurred' }
+    error: { code: 'WEBHOOK_NOT_FOUND', message: `No webhook with id ${id}` }
+  });
+}
+
+// GET /api/parser - Parse outcomes of the last scrape and the pages kept as drift samples
+app.get('/api/parser', requireApiKey, (req, res) => {
+  const saved = storage.getSetting('parserSamples');
+
+  res.json({
+    success: true,
+    data: {
+      health: storage.getSetting('parserHealth'),
+      samples: (saved?.samples || []).map(({ html, ...sample }) => ({
+        ...sample,
+        runId: saved.runId,
+        bytes: Buffer.byteLength(html),
+        href: `/api/parser/samples/${sample.outcome}`
+      }))
+    },
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/parser/samples/:outcome - The kept HTML, as plain text so it never renders on this origin
+app.get('/api/parser/samples/:outcome', requireApiKey, (req, res) => {
+  const sample = storage.getSetting('parserSamples')?.samples.find(s => s.outcome === req.params.outcome);
+  if (!sample) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'SAMPLE_NOT_FOUND', message: `No parser sample for outcome ${req.params.outcome}` }
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('X-Sample-Url', sample.url);
+  res.send(sample.html);
+});
+
+// GET /api/usage - Requests and credits per API key. Admin keys (and open
+// deployments) see every key; other keys see their own.
+app.get('/api/usage', requireApiKey, (req, res) => {
+  const all = usage.all();
+  const names = !apiKeys.enabled || req.apiKey.admin ? Object.keys(all) : [req.apiKey.name];
+
+  res.json({
+    success: true,
+    data: {
+      keys: names.map(name => ({ key: name, ...(all[name] || { credits: 0, requests: 0, routes: {}, days: {} }) }))
+    },
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/webhooks - List webhook subscriptions
+app.get('/api/webhooks', requireApiKey, (req, res) => {
+  res.json({
+    success: true,
+    data: webhooks.list().map(publicWebhook),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// POST /api/webhooks - Subscribe a URL to new-author notifications
+app.post('/api/webhooks', (req, res) => {
+  const error = WebhookManager.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: webhooks.create(req.body),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/webhooks/:id - One webhook subscription
+app.get('/api/webhooks/:id', requireApiKey, (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) return webhookNotFound(res, req.params.id);
+
+  res.json({
+    success: true,
+    data: publicWebhook(webhook),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// PATCH /api/webhooks/:id - Change the URL, secret, events, description or active flag
+app.patch('/api/webhooks/:id', (req, res) => {
+  const error = WebhookManager.validate(req.body, true);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  const webhook = webhooks.update(req.params.id, req.body);
+  if (!webhook) return webhookNotFound(res, req.params.id);
+
+  res.json({
+    success: true,
+    data: publicWebhook(webhook),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// DELETE /api/webhooks/:id - Unsubscribe
+app.delete('/api/webhooks/:id', (req, res) => {
+  if (!webhooks.remove(req.params.id)) return webhookNotFound(res, req.params.id);
+
+  res.json({
+    success: true,
+    data: { id: req.params.id, deleted: true },
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// POST /api/webhooks/:id/test - Send a signed ping to check the receiver
+app.post('/api/webhooks/:id/test', (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) return webhookNotFound(res, req.params.id);
+
+  const { body, ...delivery } = webhooks.enqueue(webhook, 'ping', { webhookId: webhook.id });
+
+  res.status(202).json({
+    success: true,
+    data: delivery,
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/webhooks/:id/deliveries - Recent delivery attempts, newest first
+app.get('/api/webhooks/:id/deliveries', requireApiKey, (req, res) => {
+  if (!webhooks.get(req.params.id)) return webhookNotFound(res, req.params.id);
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  res.json({
+    success: true,
+    data: webhooks.deliveriesFor(req.params.id, limit),
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/scrape/events - Live scrape progress as Server-Sent Events
+app.get('/api/scrape/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Start every subscriber with the current state so it doesn't wait for the next event
+  res.write(`event: status\ndata: ${JSON.stringify({
+    scrapeInProgress,
+    job: currentJob ? serializeJob(currentJob) : null,
+    lastScrapeTime
+  })}\n\n`);
+
+  sseClients.add(res);
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    sseClients.delete(res);
+  });
+});
+
+// GET /api/jobs/:id - Scrape job phase and progress
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'JOB_NOT_FOUND', message: `No scrape job with id ${req.params.id}` }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: serializeJob(job),
+    meta: { credits: 0, processingMs: 0 }
   });
 });
 
-// Graceful shutdown - save data
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, saving data...');
-  savePersistedData();
-  process.exit(0);
+// DELETE /api/jobs/:id - Cancel a running scrape job
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'JOB_NOT_FOUND', message: `No scrape job with id ${req.params.id}` }
+    });
+  }
+
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'JOB_NOT_RUNNING', message: `Job is already ${job.status}` }
+    });
+  }
+
+  job.cancelRequested = true;
+  if (job.scraper) job.scraper.cancel();
+
+  res.status(202).json({
+    success: true,
+    data: { ...serializeJob(job), cancelRequested: true },
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// POST /api/reset - Clear all cached data and state
+app.post('/api/reset', (req, res) => {
+  if (scrapeInProgress) {
+    return res.status(409).json({
+      success: false,
+      error: { code: 'SCRAPE_IN_PROGRESS', message: 'Cancel the running scrape before resetting.', jobId: currentJob?.id }
+    });
+  }
+
+  clearPersistedData();
+
+  res.json({
+    success: true,
+    data: { message: 'All data and state cleared' },
+    meta: { credits: 0, processingMs: 0 }
+  });
+});
+
+// GET /api/csv - Download results as CSV
+app.get('/api/csv', (req, res) => {
+  if (!cachedResults) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NO_RESULTS', message: 'No cached results. Run POST /api/scrape first.' }
+    });
+  }
+
+  const { spec, error } = parseCsvQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  const { csv } = buildCsv(cachedResults.authors, spec, getArticlesByHandle());
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=hackernoon_${spec.mode}_${new Date().toISOString().split('T')[0]}.csv`);
+  res.send(csv);
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, saving data...');
-  savePersistedData();
-  process.exit(0);
+// Resolves once a full response buffer drains, or the client goes away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// GET /api/export - Stream results as JSON Lines, vCards or one JSON line per article
+app.get('/api/export', async (req, res) => {
+  if (!cachedResults) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NO_RESULTS', message: 'No cached results. Run POST /api/scrape first.' }
+    });
+  }
+
+  const { spec, error } = parseExportQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_REQUEST', message: error }
+    });
+  }
+
+  const format = EXPORT_FORMATS[spec.format];
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=hackernoon_authors_${new Date().toISOString().split('T')[0]}.${format.extension}`);
+
+  // Write one record at a time, waiting for the socket to drain when it's full
+  for (const chunk of exportChunks(cachedResults.authors, spec, getArticlesByHandle())) {
+    if (res.destroyed) return;
+    if (!res.write(chunk)) await waitForDrain(res);
+  }
+  res.end();
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`HackerNoon Vibe Authors API running on port ${PORT}`);
-  console.log(`Dashboard: http://localhost:${PORT}/dashboard`);
-  console.log(`Data file: ${DATA_FILE}`);
+// Error handler
+app.use((err, req, res, next) => {
+  console.error('Server error:', err);
+  res.status(500).json({
+    success: false,
+    error: { code: 'INTERNAL_ERROR', message: 'An internal error occurred' }
+  });
 });
 
+// Only serve when run directly - test.js requires the app without listening
+if (require.main === module) {
+  // Graceful shutdown - save data
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, saving data...');
+    usage.flush();
+    savePersistedData();
+    storage.close();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('SIGINT received, saving data...');
+    usage.flush();
+    savePersistedData();
+    storage.close();
+    process.exit(0);
+  });
+
+  // Start server
+  app.listen(PORT, () => {
+    console.log(`HackerNoon Vibe Authors API running on port ${PORT}`);
+    console.log(`Dashboard: http://localhost:${PORT}/dashboard`);
+    console.log(`Storage: ${storage.describe()}`);
+    console.log(apiKeys.enabled
+      ? `API keys: ${apiKeys.entries.length} configured`
+      : 'API keys: none configured - mutating routes are open to anyone (set API_KEYS)');
+
+    if (interruptedRun && process.env.RESUME_INTERRUPTED_RUNS !== 'false') {
+      console.log(`Resuming interrupted run ${interruptedRun.jobId}`);
+      const job = startJob('scrape', interruptedRun.options, {
+        trigger: 'resume',
+        id: interruptedRun.jobId,
+        createdAt: interruptedRun.createdAt,
+        resume: interruptedRun.run
+      });
+      job.resumed = true;
+    }
+    interruptedRun = null;
+
+    // A schedule saved through the API wins over SCHEDULE_INTERVAL_MINUTES
+    const savedSchedule = storage.getSetting('schedule');
+    if (savedSchedule) {
+      if (savedSchedule.enabled) scheduler.start(savedSchedule);
+    } else if (process.env.SCHEDULE_INTERVAL_MINUTES) {
+      const config = { intervalMinutes: Number(process.env.SCHEDULE_INTERVAL_MINUTES), options: {}, source: 'env' };
+      const error = Scheduler.validate(config);
+      if (error) {
+        console.error(`Ignoring SCHEDULE_INTERVAL_MINUTES: ${error}`);
+      } else {
+        scheduler.start(config);
+      }
+    }
+    if (scheduler.status().enabled) {
+      console.log(`Scheduled scrapes every ${scheduler.config.intervalMinutes} minutes`);
+    }
+  });
+}
+
 module.exports = app;
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Keys come from API_KEYS ("name:key,name:key"; a bare key is named key-1, key-2, ...)
+// and/or API_KEYS_FILE, a JSON array of { name, key, admin }. Only hashes are kept.
+function loadApiKeys({ keys = process.env.API_KEYS, file = process.env.API_KEYS_FILE } = {}) {
+  const entries = [];
+
+  (keys || '').split(',').map(k => k.trim()).filter(Boolean).forEach((entry, i) => {
+    const sep = entry.indexOf(':');
+    const [name, key] = sep === -1 ? [`key-${i + 1}`, entry] : [entry.slice(0, sep), entry.slice(sep + 1)];
+    entries.push({ name, key, admin: false });
+  });
+
+  if (file) {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${file} must contain a JSON array of { name, key, admin }`);
+    for (const { name, key, admin } of list) {
+      if (!name || !key) throw new Error(`${file}: every key needs a name and a key`);
+      entries.push({ name, key, admin: !!admin });
+    }
+  }
+
+  const names = new Set();
+  return entries.map(({ name, key, admin }) => {
+    if (names.has(name)) throw new Error(`Duplicate API key name "${name}"`);
+    names.add(name);
+    return { name, admin, hash: hashKey(key) };
+  });
+}
+
+// Looks up the key a request carries, in X-API-Key or Authorization: Bearer
+class ApiKeyAuth {
+  constructor(entries) {
+    this.entries = entries;
+  }
+
+  // With no keys configured every route is open
+  get enabled() {
+    return this.entries.length > 0;
+  }
+
+  // { key } for a known key ({ key: null } when none was sent), { error } for an unknown one
+  authenticate(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const presented = req.get('x-api-key') || bearer?.[1];
+    if (!presented) return { key: null };
+
+    // Compare hashes so every comparison takes the same time
+    const hash = hashKey(presented);
+    const entry = this.entries.find(e => crypto.timingSafeEqual(e.hash, hash));
+    if (!entry) return { error: 'Invalid API key' };
+    return { key: { name: entry.name, admin: entry.admin } };
+  }
+}
+
+module.exports = { ApiKeyAuth, loadApiKeys };
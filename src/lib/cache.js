@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const MINUTE_MS = 60000;
+
+// How long a cached response is used without asking the server again, by resource type
+const DEFAULT_TTL_MINUTES = {
+  sitemapIndex: 60,
+  sitemap: 6 * 60,
+  tag: 60,
+  profile: 24 * 60,
+  article: 7 * 24 * 60
+};
+
+// live: serve fresh entries, revalidate stale ones with If-None-Match/If-Modified-Since
+// cache-only: never touch the network - replay whatever is on disk (misses are null)
+// off: no caching at all
+const CACHE_MODES = ['live', 'cache-only', 'off'];
+
+function resourceType(url) {
+  const { pathname } = new URL(url);
+  if (pathname === '/sitemap.xml') return 'sitemapIndex';
+  if (pathname.startsWith('/sitemaps/')) return 'sitemap';
+  if (pathname.startsWith('/tagged/')) return 'tag';
+  if (pathname.startsWith('/u/')) return 'profile';
+  return 'article';
+}
+
+// "sitemap:720,profile:60" -> { sitemap: 720, profile: 60 }
+function parseTtls(value) {
+  const ttls = {};
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [type, minutes] = entry.split(':').map(s => s.trim());
+    if (!(type in DEFAULT_TTL_MINUTES)) {
+      throw new Error(`Unknown HTTP cache resource type "${type}" (expected one of ${Object.keys(DEFAULT_TTL_MINUTES).join(', ')})`);
+    }
+    if (!Number.isFinite(Number(minutes)) || Number(minutes) < 0) {
+      throw new Error(`HTTP cache TTL for ${type} must be a number of minutes`);
+    }
+    ttls[type] = Number(minutes);
+  }
+  return ttls;
+}
+
+// Responses on disk keyed by URL, one gzipped JSON file each:
+// { url, type, etag, lastModified, fetchedAt, validatedAt, body }.
+// Deleting the directory is always safe.
+class ResponseCache {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.HTTP_CACHE_DIR || path.join('.cache', 'http');
+    this.mode = options.mode || process.env.HTTP_CACHE_MODE || 'live';
+    if (!CACHE_MODES.includes(this.mode)) {
+      throw new Error(`HTTP cache mode must be one of ${CACHE_MODES.join(', ')}`);
+    }
+    const minutes = { ...DEFAULT_TTL_MINUTES, ...(options.ttlMinutes || parseTtls(process.env.HTTP_CACHE_TTLS)) };
+    this.ttlMs = Object.fromEntries(Object.entries(minutes).map(([type, m]) => [type, m * MINUTE_MS]));
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  get cacheOnly() {
+    return this.mode === 'cache-only';
+  }
+
+  file(url) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(url).digest('hex')}.json.gz`);
+  }
+
+  // The stored entry, or null. A corrupt file counts as a miss.
+  get(url) {
+    if (!this.enabled) return null;
+    try {
+      const entry = JSON.parse(zlib.gunzipSync(fs.readFileSync(this.file(url))).toString('utf8'));
+      return entry.url === url ? entry : null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.log(`  Ignoring unreadable cache entry for ${url}: ${err.message}`);
+      return null;
+    }
+  }
+
+  isFresh(entry, now = Date.now()) {
+    const ttl = this.ttlMs[entry.type] ?? 0;
+    return now - Date.parse(entry.validatedAt) < ttl;
+  }
+
+  // Validators to send with a revalidation request
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  // Store a 200 response
+  put(url, response, body) {
+    if (!this.enabled || this.cacheOnly) return;
+    const now = new Date().toISOString();
+    this.write({
+      url,
+      type: resourceType(url),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      fetchedAt: now,
+      validatedAt: now,
+      body
+    });
+  }
+
+  // A 304 confirmed the entry - restart its TTL and pick up any new validators
+  revalidated(entry, response) {
+    this.write({
+      ...entry,
+      etag: response.headers.get('etag') || entry.etag,
+      lastModified: response.headers.get('last-modified') || entry.lastModified,
+      validatedAt: new Date().toISOString()
+    });
+  }
+
+  write(entry) {
+    const filePath = this.file(entry.url);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(tmpPath, zlib.gzipSync(JSON.stringify(entry)));
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      // A cache that can't be written just means more requests next time
+      console.log(`  Could not cache ${entry.url}: ${err.message}`);
+    }
+  }
+
+  status() {
+    return {
+      mode: this.mode,
+      dir: this.dir,
+      ttlMinutes: Object.fromEntries(Object.entries(this.ttlMs).map(([type, ms]) => [type, ms / MINUTE_MS]))
+    };
+  }
+}
+
+module.exports = { ResponseCache, CACHE_MODES, resourceType };
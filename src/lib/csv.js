@@ -0,0 +1,117 @@
+const { createObjectCsvStringifier } = require('csv-writer');
+const { parseAuthorQuery, filterAuthors, filterArticles, AUTHOR_SORTS } = require('./filters');
+
+// Column id -> header and value. The author defaults match the original export.
+const AUTHOR_COLUMNS = {
+  name: { title: 'Author Name', value: a => a.name },
+  handle: { title: 'Handle', value: a => a.handle },
+  profileUrl: { title: 'Profile URL', value: a => a.profileUrl },
+  bio: { title: 'Bio', value: a => a.bio },
+  twitter: { title: 'Twitter/X', value: a => a.twitter },
+  linkedin: { title: 'LinkedIn', value: a => a.linkedin },
+  github: { title: 'GitHub', value: a => a.github },
+  website: { title: 'Website', value: a => a.website },
+  keywords: { title: 'Matched Keywords', value: a => (a.matchedKeywords || []).join(', ') },
+  sampleArticles: { title: 'Sample Articles', value: a => (a.sampleArticles || []).map(s => s.title).join(' | ') },
+  relevanceScore: { title: 'Relevance Score', value: a => a.relevanceScore },
+  matchingArticles: { title: 'Matching Articles', value: a => a.matchingArticles },
+  firstSeenAt: { title: 'First Seen', value: a => a.firstSeenAt },
+  lastArticleAt: { title: 'Last Article', value: a => a.lastArticleAt },
+  firstPublishedAt: { title: 'First Published', value: a => a.firstPublishedAt },
+  lastPublishedAt: { title: 'Last Published', value: a => a.lastPublishedAt },
+  articlesPerMonth: { title: 'Articles per Month', value: a => a.articlesPerMonth },
+  lastEnrichedAt: { title: 'Profile Fetched', value: a => a.lastEnrichedAt },
+  matchRatio: { title: 'Matching Article Ratio', value: a => a.backfill?.matchRatio },
+  articlesListed: { title: 'Articles on Profile', value: a => a.backfill?.articlesListed }
+};
+const DEFAULT_AUTHOR_COLUMNS = ['name', 'handle', 'profileUrl', 'bio', 'twitter', 'linkedin', 'github', 'website', 'keywords', 'sampleArticles'];
+
+// One row per matched article; value(article, author)
+const ARTICLE_COLUMNS = {
+  handle: { title: 'Handle', value: (x, a) => a.handle },
+  name: { title: 'Author Name', value: (x, a) => a.name },
+  title: { title: 'Article Title', value: x => x.title },
+  url: { title: 'Article URL', value: x => x.url },
+  keywords: { title: 'Matched Keywords', value: x => (x.keywords || []).join(', ') },
+  titleMatches: { title: 'Title Matches', value: x => (x.titleMatches || []).join(', ') },
+  tagMatches: { title: 'Tag Matches', value: x => (x.tagMatches || []).join(', ') },
+  publishedAt: { title: 'Published', value: x => x.publishedAt },
+  readingTimeMinutes: { title: 'Reading Time (min)', value: x => x.readingTimeMinutes },
+  reactions: { title: 'Reactions', value: x => x.reactions },
+  comments: { title: 'Comments', value: x => x.comments },
+  tags: { title: 'Tags', value: x => (x.tags || []).join(', ') },
+  sponsored: { title: 'Sponsored', value: x => x.sponsored ? 'yes' : '' },
+  techCompanyNews: { title: 'Tech Company News', value: x => x.techCompanyNews ? 'yes' : '' },
+  firstSeenAt: { title: 'First Seen', value: x => x.seenAt },
+  runId: { title: 'Run ID', value: x => x.runId },
+  profileUrl: { title: 'Profile URL', value: (x, a) => a.profileUrl },
+  twitter: { title: 'Twitter/X', value: (x, a) => a.twitter },
+  linkedin: { title: 'LinkedIn', value: (x, a) => a.linkedin },
+  github: { title: 'GitHub', value: (x, a) => a.github },
+  website: { title: 'Website', value: (x, a) => a.website },
+  relevanceScore: { title: 'Author Relevance Score', value: (x, a) => a.relevanceScore }
+};
+const DEFAULT_ARTICLE_COLUMNS = ['handle', 'name', 'title', 'url', 'keywords', 'publishedAt', 'profileUrl'];
+
+const CSV_MODES = {
+  authors: { columns: AUTHOR_COLUMNS, defaults: DEFAULT_AUTHOR_COLUMNS },
+  articles: { columns: ARTICLE_COLUMNS, defaults: DEFAULT_ARTICLE_COLUMNS }
+};
+
+// Spreadsheet apps run cells starting with these as formulas; a leading quote
+// makes them plain text (OWASP CSV injection guidance)
+const FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+
+function neutralize(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return typeof value === 'string' && FORMULA_PREFIX_RE.test(str) ? `'${str}` : str;
+}
+
+// Validate req.query into an export spec. Takes the /api/results filters (minus
+// paging) plus mode and columns. Returns { spec } or { error: message }.
+function parseCsvQuery(query = {}) {
+  const { limit, cursor, mode = 'authors', columns, ...filterQuery } = query;
+
+  const modeSpec = CSV_MODES[mode];
+  if (!modeSpec) return { error: `mode must be one of: ${Object.keys(CSV_MODES).join(', ')}` };
+
+  let columnIds = modeSpec.defaults;
+  if (columns !== undefined) {
+    columnIds = String(columns).split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = columnIds.filter(c => !modeSpec.columns[c]);
+    if (!columnIds.length || unknown.length) {
+      return { error: `columns must be a comma-separated list of: ${Object.keys(modeSpec.columns).join(', ')}` };
+    }
+  }
+
+  const { filters, error } = parseAuthorQuery(filterQuery);
+  if (error) return { error };
+
+  return { spec: { mode, columns: columnIds, filters } };
+}
+
+// Build the CSV text for finalized authors. articlesByHandle supplies every
+// matched article (mode=articles, and `q` over all titles).
+function buildCsv(authors, spec, articlesByHandle) {
+  const defs = CSV_MODES[spec.mode].columns;
+  const matched = filterAuthors(authors, spec.filters, articlesByHandle).sort(AUTHOR_SORTS[spec.filters.sort]);
+
+  let records;
+  if (spec.mode === 'articles') {
+    records = matched.flatMap(author => filterArticles(articlesByHandle.get(author.handle) || [], spec.filters)
+      .map(x => Object.fromEntries(spec.columns.map(id => [id, neutralize(defs[id].value(x, author))]))));
+  } else {
+    records = matched.map(author => Object.fromEntries(spec.columns.map(id => [id, neutralize(defs[id].value(author))])));
+  }
+
+  // Quote every field and end records with CRLF, as RFC 4180 describes
+  const stringifier = createObjectCsvStringifier({
+    header: spec.columns.map(id => ({ id, title: defs[id].title })),
+    alwaysQuote: true,
+    recordDelimiter: '\r\n'
+  });
+  return { csv: stringifier.getHeaderString() + stringifier.stringifyRecords(records), rows: records.length };
+}
+
+module.exports = { parseCsvQuery, buildCsv, neutralize, AUTHOR_COLUMNS, ARTICLE_COLUMNS };
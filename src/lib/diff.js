@@ -0,0 +1,57 @@
+// What changed between two scrape runs, worked out from the run IDs stamped on
+// articles, author records and their change logs
+
+// Authors from before run IDs existed have no firstSeenRunId; fall back to their earliest article
+function firstSeenRunId(raw, articles) {
+  if (raw?.firstSeenRunId) return raw.firstSeenRunId;
+  const first = [...articles].filter(a => a.seenAt).sort((a, b) => a.seenAt.localeCompare(b.seenAt))[0];
+  return first?.runId || null;
+}
+
+// Collapse a change log into one { from, to } per field, dropping fields that changed back
+function mergeChanges(changes) {
+  const merged = {};
+  for (const { fields } of changes) {
+    for (const [field, { from, to }] of Object.entries(fields)) {
+      merged[field] = { from: merged[field] ? merged[field].from : from, to };
+    }
+  }
+  return Object.fromEntries(Object.entries(merged).filter(([, c]) => c.from !== c.to));
+}
+
+// runIds holds the job IDs of every run after the base run, up to and including
+// the target. authors are finalized records; rawAuthors and articlesByHandle come
+// from the scraper state.
+function diffRuns({ authors, rawAuthors, articlesByHandle, runIds }) {
+  const added = [];
+  const newArticles = [];
+  const changed = [];
+
+  for (const author of authors) {
+    const raw = rawAuthors.get(author.handle);
+    const articles = articlesByHandle.get(author.handle) || [];
+    const summary = { handle: author.handle, name: author.name, profileUrl: author.profileUrl };
+
+    if (runIds.has(firstSeenRunId(raw, articles))) {
+      added.push(author);
+      continue;
+    }
+
+    const fresh = articles.filter(a => runIds.has(a.runId));
+    if (fresh.length) {
+      newArticles.push({
+        ...summary,
+        articles: fresh.map(a => ({ title: a.title, url: a.url, publishedAt: a.publishedAt || null, runId: a.runId }))
+      });
+    }
+
+    const changes = mergeChanges((raw?.changes || []).filter(c => runIds.has(c.runId)));
+    if (Object.keys(changes).length) {
+      changed.push({ ...summary, changes });
+    }
+  }
+
+  return { added, newArticles, changed };
+}
+
+module.exports = { diffRuns };
@@ -0,0 +1,70 @@
+// What happened to each article page: parsed fine (matched / no-match / skipped as
+// sponsored), couldn't be fetched, or came back in a shape the parser doesn't understand
+const PARSE_OUTCOMES = ['matched', 'no-match', 'sponsored', 'no-next-data', 'no-page-data', 'no-profile', 'fetch-failed'];
+
+// Outcomes that mean HackerNoon's markup moved rather than the article being off-topic
+const DRIFT_OUTCOMES = ['no-next-data', 'no-page-data', 'no-profile'];
+
+// HTML kept per drift outcome, so a parser fix can start from a real page
+const MAX_SAMPLE_BYTES = 256 * 1024;
+
+// Per-run tally of article parse outcomes. Raises PARSER_DRIFT once enough pages
+// were parsed and too many of them failed in a drift-like way.
+class ParseHealth {
+  constructor(saved = {}, options = {}) {
+    this.threshold = options.threshold ?? Number(process.env.PARSER_DRIFT_THRESHOLD || 0.3);
+    this.minPages = options.minPages ?? Number(process.env.PARSER_DRIFT_MIN_PAGES || 10);
+    this.outcomes = Object.fromEntries(PARSE_OUTCOMES.map(o => [o, saved[o] || 0]));
+    this.samples = {};
+  }
+
+  record(outcome, url, html) {
+    this.outcomes[outcome]++;
+    if (html && DRIFT_OUTCOMES.includes(outcome) && !this.samples[outcome]) {
+      this.samples[outcome] = {
+        outcome,
+        url,
+        capturedAt: new Date().toISOString(),
+        truncated: html.length > MAX_SAMPLE_BYTES,
+        html: html.slice(0, MAX_SAMPLE_BYTES)
+      };
+    }
+  }
+
+  // Counts only - what a checkpoint needs to carry the tally across a resume
+  counts() {
+    return { ...this.outcomes };
+  }
+
+  report() {
+    const parsed = PARSE_OUTCOMES.reduce((sum, o) => sum + this.outcomes[o], 0) - this.outcomes['fetch-failed'];
+    const failed = DRIFT_OUTCOMES.reduce((sum, o) => sum + this.outcomes[o], 0);
+    const failureRatio = parsed ? Math.round((failed / parsed) * 1000) / 1000 : 0;
+    const drift = parsed >= this.minPages && failureRatio >= this.threshold;
+
+    return {
+      outcomes: this.counts(),
+      pagesParsed: parsed,
+      failureRatio,
+      threshold: this.threshold,
+      warning: drift ? {
+        code: 'PARSER_DRIFT',
+        message: `${failed} of ${parsed} article pages couldn't be parsed (${DRIFT_OUTCOMES.filter(o => this.outcomes[o]).map(o => `${o}: ${this.outcomes[o]}`).join(', ')}) - HackerNoon's page structure may have changed`,
+        sampleOutcomes: Object.keys(this.samples)
+      } : null
+    };
+  }
+}
+
+// Keep the latest run's report in storage settings. Samples are only replaced by a
+// run that captured new ones, so a healthy run doesn't throw away the evidence.
+// Runs that parsed no articles say nothing about the markup and are skipped.
+function saveParseReport(storage, { runId, parse, samples = [] }) {
+  const total = Object.values(parse.outcomes).reduce((sum, n) => sum + n, 0);
+  if (!total) return;
+  const at = new Date().toISOString();
+  storage.saveSetting('parserHealth', { runId, at, ...parse });
+  if (samples.length) storage.saveSetting('parserSamples', { runId, at, samples });
+}
+
+module.exports = { ParseHealth, saveParseReport, PARSE_OUTCOMES, DRIFT_OUTCOMES };
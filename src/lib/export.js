@@ -0,0 +1,117 @@
+const { parseAuthorQuery, filterAuthors, filterArticles, AUTHOR_SORTS } = require('./filters');
+
+// vCard 3.0 (RFC 2426) text escaping
+function vcardEscape(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/[,;]/g, m => `\\${m}`);
+}
+
+// Fold content lines at 75 octets without splitting a multi-byte character
+function vcardFold(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with a space, which counts towards their 75
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toVcard(author) {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vcardEscape(author.name || author.handle)}`,
+    `N:${vcardEscape(author.name || author.handle)};;;;`,
+    `NICKNAME:${vcardEscape(author.handle)}`,
+    author.bio && `NOTE:${vcardEscape(author.bio)}`,
+    `URL;TYPE=hackernoon:${author.profileUrl}`,
+    author.website && `URL;TYPE=website:${author.website}`,
+    author.twitter && `X-SOCIALPROFILE;TYPE=twitter:${author.twitter}`,
+    author.linkedin && `X-SOCIALPROFILE;TYPE=linkedin:${author.linkedin}`,
+    author.github && `X-SOCIALPROFILE;TYPE=github:${author.github}`,
+    author.matchedKeywords?.length && `CATEGORIES:${author.matchedKeywords.map(vcardEscape).join(',')}`,
+    'END:VCARD'
+  ];
+  return lines.filter(Boolean).map(vcardFold).join('\r\n') + '\r\n';
+}
+
+// Each format yields its output one record at a time
+const EXPORT_FORMATS = {
+  jsonl: {
+    contentType: 'application/x-ndjson',
+    extension: 'jsonl',
+    * records(authors) {
+      for (const author of authors) yield JSON.stringify(author) + '\n';
+    }
+  },
+  vcf: {
+    contentType: 'text/vcard; charset=utf-8',
+    extension: 'vcf',
+    * records(authors) {
+      for (const author of authors) yield toVcard(author);
+    }
+  },
+  'ndjson-articles': {
+    contentType: 'application/x-ndjson',
+    extension: 'ndjson',
+    * records(authors, articlesByHandle, filters) {
+      for (const author of authors) {
+        for (const x of filterArticles(articlesByHandle.get(author.handle) || [], filters)) {
+          yield JSON.stringify({
+            handle: author.handle,
+            name: author.name,
+            profileUrl: author.profileUrl,
+            title: x.title,
+            url: x.url,
+            keywords: x.keywords || [],
+            titleMatches: x.titleMatches || [],
+            tagMatches: x.tagMatches || [],
+            publishedAt: x.publishedAt || null,
+            readingTimeMinutes: x.readingTimeMinutes ?? null,
+            reactions: x.reactions ?? null,
+            comments: x.comments ?? null,
+            tags: x.tags || [],
+            sponsored: !!x.sponsored,
+            techCompanyNews: !!x.techCompanyNews,
+            firstSeenAt: x.seenAt || null,
+            runId: x.runId || null
+          }) + '\n';
+        }
+      }
+    }
+  }
+};
+
+// Validate req.query: format plus the /api/results filters, without paging.
+// Returns { spec } or { error: message }.
+function parseExportQuery(query = {}) {
+  const { limit, cursor, format, ...filterQuery } = query;
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const { filters, error } = parseAuthorQuery(filterQuery);
+  if (error) return { error };
+
+  return { spec: { format, filters } };
+}
+
+// Generator over the chunks of one export
+function exportChunks(authors, spec, articlesByHandle) {
+  const matched = filterAuthors(authors, spec.filters, articlesByHandle).sort(AUTHOR_SORTS[spec.filters.sort]);
+  return EXPORT_FORMATS[spec.format].records(matched, articlesByHandle, spec.filters);
+}
+
+module.exports = { parseExportQuery, exportChunks, toVcard, EXPORT_FORMATS };
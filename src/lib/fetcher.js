@@ -0,0 +1,247 @@
+const { parseRobots, isAllowed, ALLOW_ALL, DISALLOW_ALL } = require('./robots');
+const { ResponseCache } = require('./cache');
+const { fixtureFetchFromEnv } = require('./fixtures');
+
+const DEFAULT_USER_AGENT = 'HackerNoonVibeAuthorsBot/1.0 (+https://github.com/naman485/createos-skill-hackernoon-vibe-authors)';
+
+// How far adaptive backoff may slow a host down, as a multiple of its normal interval
+const MAX_BACKOFF_FACTOR = 32;
+
+// robots.txt is re-read after this long; an unreachable one is retried sooner
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Fetches pages the way a well-behaved crawler should: obeys robots.txt and
+// Crawl-delay, paces each host with a token bucket, caps requests in flight,
+// and slows down when the site answers 429/5xx (honouring Retry-After).
+// Responses go through a ResponseCache, revalidated with conditional requests.
+// get() resolves to the body text, or null when the page can't be had.
+class PoliteFetcher {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+    this.concurrency = Math.max(1, options.concurrency ?? Number(process.env.CRAWL_CONCURRENCY || 2));
+    this.requestsPerSecond = options.requestsPerSecond ?? Number(process.env.CRAWL_RATE || 1);
+    this.respectRobots = options.respectRobots ?? process.env.RESPECT_ROBOTS !== 'false';
+    this.retries = options.retries ?? 3;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    // Injectable for tests; recorded fixtures when HTTP_FIXTURES_DIR is set, else the global fetch
+    this.fetch = options.fetch || fixtureFetchFromEnv() || globalThis.fetch;
+    this.cache = options.cache || new ResponseCache();
+
+    this.hosts = new Map();
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { requests: 0, retries: 0, throttled: 0, blockedByRobots: 0, failed: 0, cacheHits: 0, notModified: 0, cacheMisses: 0 };
+  }
+
+  host(origin) {
+    if (!this.hosts.has(origin)) {
+      this.hosts.set(origin, {
+        tokens: 1,
+        updatedAt: Date.now(),
+        backoff: 1,
+        pausedUntil: 0,
+        robots: null,
+        robotsExpiresAt: 0,
+        robotsLoading: null
+      });
+    }
+    return this.hosts.get(origin);
+  }
+
+  // Milliseconds between requests to a host, after Crawl-delay and backoff
+  intervalMs(h) {
+    const base = Math.max(1000 / this.requestsPerSecond, (h.robots?.crawlDelaySec || 0) * 1000);
+    return base * h.backoff;
+  }
+
+  // A Crawl-delay means one request at a time; otherwise bursts up to the concurrency
+  burst(h) {
+    return h.robots?.crawlDelaySec ? 1 : this.concurrency;
+  }
+
+  // Wait for a token from the host's bucket
+  async takeToken(h) {
+    for (;;) {
+      const now = Date.now();
+      const interval = this.intervalMs(h);
+      h.tokens = Math.min(this.burst(h), h.tokens + (now - h.updatedAt) / interval);
+      h.updatedAt = now;
+      const wait = Math.max(h.pausedUntil - now, h.tokens >= 1 ? 0 : (1 - h.tokens) * interval);
+      if (wait <= 0) {
+        h.tokens -= 1;
+        return;
+      }
+      await sleep(wait);
+    }
+  }
+
+  async acquireSlot() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  async loadRobots(origin, h) {
+    let robots;
+    let ttl = ROBOTS_TTL_MS;
+    try {
+      const response = await this.request(`${origin}/robots.txt`, h);
+      if (response.ok) {
+        robots = parseRobots(await response.text(), this.userAgent);
+      } else if (response.status >= 400 && response.status < 500) {
+        // No robots.txt - everything is allowed
+        robots = ALLOW_ALL;
+      } else {
+        robots = DISALLOW_ALL;
+        ttl = ROBOTS_ERROR_TTL_MS;
+      }
+    } catch (err) {
+      // Unreachable robots.txt means stay away until it can be read (RFC 9309)
+      console.log(`  robots.txt for ${origin} unreachable: ${err.message}`);
+      robots = DISALLOW_ALL;
+      ttl = ROBOTS_ERROR_TTL_MS;
+    }
+    h.robots = robots;
+    h.robotsExpiresAt = Date.now() + ttl;
+    if (robots.crawlDelaySec) console.log(`  ${origin} asks for Crawl-delay: ${robots.crawlDelaySec}s`);
+  }
+
+  async robotsFor(origin, h) {
+    if (h.robots && Date.now() < h.robotsExpiresAt) return h.robots;
+    // Concurrent callers share one robots.txt fetch
+    if (!h.robotsLoading) {
+      h.robotsLoading = this.loadRobots(origin, h).finally(() => {
+        h.robotsLoading = null;
+      });
+    }
+    await h.robotsLoading;
+    return h.robots;
+  }
+
+  // One paced request: waits for a concurrency slot and a host token
+  async request(url, h, headers = {}) {
+    await this.acquireSlot();
+    try {
+      await this.takeToken(h);
+      this.stats.requests++;
+      return await this.fetch(url, {
+        headers: {
+          'User-Agent': this.userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          ...headers
+        },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  // Double the host's interval and pause it for Retry-After (or one new interval)
+  backOff(h, response) {
+    h.backoff = Math.min(MAX_BACKOFF_FACTOR, h.backoff * 2);
+    const retryAfterMs = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+    h.pausedUntil = Math.max(h.pausedUntil, Date.now() + (retryAfterMs ?? this.intervalMs(h)));
+  }
+
+  // Ease back towards the normal rate after each success
+  recover(h) {
+    h.backoff = Math.max(1, h.backoff * 0.9);
+  }
+
+  async get(url) {
+    const { origin, pathname, search } = new URL(url);
+    const h = this.host(origin);
+
+    const cached = this.cache.get(url);
+    if (cached && (this.cache.cacheOnly || this.cache.isFresh(cached))) {
+      this.stats.cacheHits++;
+      return cached.body;
+    }
+    if (this.cache.cacheOnly) {
+      this.stats.cacheMisses++;
+      return null;
+    }
+
+    if (this.respectRobots && !isAllowed(await this.robotsFor(origin, h), pathname + search)) {
+      this.stats.blockedByRobots++;
+      console.log(`  Skipping ${url} (disallowed by robots.txt)`);
+      return null;
+    }
+
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
+      if (attempt > 1) this.stats.retries++;
+      try {
+        const response = await this.request(url, h, this.cache.conditionalHeaders(cached));
+        if (response.status === 304 && cached) {
+          this.recover(h);
+          this.stats.notModified++;
+          this.cache.revalidated(cached, response);
+          return cached.body;
+        }
+        if (response.ok) {
+          this.recover(h);
+          const body = await response.text();
+          this.cache.put(url, response, body);
+          return body;
+        }
+
+        console.log(`  HTTP ${response.status} for ${url}`);
+        if (!isRetryableStatus(response.status)) return null;
+        this.stats.throttled++;
+        this.backOff(h, response);
+      } catch (err) {
+        console.log(`  Fetch error (attempt ${attempt}): ${err.message}`);
+        this.backOff(h, null);
+      }
+    }
+
+    this.stats.failed++;
+    return null;
+  }
+
+  status() {
+    return {
+      userAgent: this.userAgent,
+      concurrency: this.concurrency,
+      requestsPerSecond: this.requestsPerSecond,
+      respectRobots: this.respectRobots,
+      inFlight: this.active,
+      cache: this.cache.status(),
+      stats: { ...this.stats },
+      hosts: Object.fromEntries(Array.from(this.hosts, ([origin, h]) => [origin, {
+        crawlDelaySec: h.robots?.crawlDelaySec ?? null,
+        backoff: Math.round(h.backoff * 100) / 100,
+        intervalMs: Math.round(this.intervalMs(h)),
+        pausedUntil: h.pausedUntil > Date.now() ? new Date(h.pausedUntil).toISOString() : null
+      }]))
+    };
+  }
+}
+
+module.exports = { PoliteFetcher, parseRetryAfter, DEFAULT_USER_AGENT };
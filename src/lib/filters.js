@@ -0,0 +1,158 @@
+// Query-string filtering, sorting and cursor pagination over finalized author lists
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SOCIAL_FILTERS = {
+  hasTwitter: 'twitter',
+  hasLinkedIn: 'linkedin',
+  hasGitHub: 'github',
+  hasWebsite: 'website'
+};
+
+// Results from before scoring existed rank last
+const AUTHOR_SORTS = {
+  relevance: (a, b) => (b.relevanceScore || 0) - (a.relevanceScore || 0),
+  name: (a, b) => (a.name || a.handle).localeCompare(b.name || b.handle),
+  articles: (a, b) => (b.matchingArticles || 0) - (a.matchingArticles || 0),
+  recent: (a, b) => (b.lastArticleAt || '').localeCompare(a.lastArticleAt || '')
+};
+
+function parseBoolean(value) {
+  if (['true', '1', 'yes'].includes(value)) return true;
+  if (['false', '0', 'no'].includes(value)) return false;
+  return undefined;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+// Validate req.query into a filter spec. Returns { filters } or { error: message }.
+function parseAuthorQuery(query = {}) {
+  const filters = {};
+
+  if (query.q !== undefined) filters.q = String(query.q).trim().toLowerCase();
+  if (query.keyword !== undefined) filters.keyword = String(query.keyword).trim().toLowerCase();
+
+  for (const param of Object.keys(SOCIAL_FILTERS)) {
+    if (query[param] === undefined) continue;
+    const value = parseBoolean(String(query[param]).toLowerCase());
+    if (value === undefined) return { error: `${param} must be true or false` };
+    filters[param] = value;
+  }
+
+  if (query.minArticles !== undefined) {
+    const n = Number(query.minArticles);
+    if (!Number.isInteger(n) || n < 0) return { error: 'minArticles must be a non-negative integer' };
+    filters.minArticles = n;
+  }
+
+  if (query.since !== undefined) {
+    const t = Date.parse(query.since);
+    if (Number.isNaN(t)) return { error: 'since must be a date, e.g. 2026-01-31' };
+    filters.since = new Date(t).toISOString();
+  }
+
+  if (query.activeWithinDays !== undefined) {
+    const n = Number(query.activeWithinDays);
+    if (!Number.isInteger(n) || n < 1) return { error: 'activeWithinDays must be a positive integer' };
+    filters.activeWithinDays = n;
+  }
+
+  filters.sort = query.sort || 'relevance';
+  if (!AUTHOR_SORTS[filters.sort]) {
+    return { error: `sort must be one of: ${Object.keys(AUTHOR_SORTS).join(', ')}` };
+  }
+
+  filters.limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    const n = Number(query.limit);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_LIMIT) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    filters.limit = n;
+  }
+
+  filters.offset = 0;
+  if (query.cursor !== undefined) {
+    const offset = decodeCursor(String(query.cursor));
+    if (offset === null) return { error: 'cursor is invalid' };
+    filters.offset = offset;
+  }
+
+  return { filters };
+}
+
+// articlesByHandle (optional) lets `q` search every matched article title,
+// not just the handful kept in sampleArticles
+function matchesAuthorFilters(author, filters, articlesByHandle) {
+  if (filters.keyword && !(author.matchedKeywords || []).some(k => k.toLowerCase() === filters.keyword)) {
+    return false;
+  }
+
+  for (const [param, field] of Object.entries(SOCIAL_FILTERS)) {
+    if (filters[param] !== undefined && !!author[field] !== filters[param]) return false;
+  }
+
+  if (filters.minArticles !== undefined && (author.matchingArticles || author.sampleArticles?.length || 0) < filters.minArticles) {
+    return false;
+  }
+
+  if (filters.since && (!author.lastArticleAt || author.lastArticleAt < filters.since)) {
+    return false;
+  }
+
+  // Judged on publish dates only - an old article first seen recently doesn't count
+  if (filters.activeWithinDays !== undefined) {
+    const cutoff = new Date(Date.now() - filters.activeWithinDays * DAY_MS).toISOString();
+    if (!author.lastPublishedAt || author.lastPublishedAt < cutoff) return false;
+  }
+
+  if (filters.q) {
+    const articles = articlesByHandle?.get(author.handle) || author.sampleArticles || [];
+    const haystack = [
+      author.name,
+      author.handle,
+      author.bio,
+      ...(author.matchedKeywords || []),
+      ...articles.map(a => a.title)
+    ].join('\n').toLowerCase();
+    if (!haystack.includes(filters.q)) return false;
+  }
+
+  return true;
+}
+
+function filterAuthors(authors, filters, articlesByHandle) {
+  return authors.filter(a => matchesAuthorFilters(a, filters, articlesByHandle));
+}
+
+// An author's matched articles, narrowed to the keyword filter when there is one
+function filterArticles(articles, filters) {
+  if (!filters.keyword) return articles;
+  return articles.filter(x => (x.keywords || []).some(k => k.toLowerCase() === filters.keyword));
+}
+
+// Filter, sort and slice one page. nextCursor is null on the last page.
+function queryAuthors(authors, filters, articlesByHandle) {
+  const matched = filterAuthors(authors, filters, articlesByHandle).sort(AUTHOR_SORTS[filters.sort]);
+  const page = matched.slice(filters.offset, filters.offset + filters.limit);
+  const nextOffset = filters.offset + page.length;
+
+  return {
+    authors: page,
+    total: matched.length,
+    nextCursor: nextOffset < matched.length ? encodeCursor(nextOffset) : null
+  };
+}
+
+module.exports = { parseAuthorQuery, filterAuthors, filterArticles, queryAuthors, AUTHOR_SORTS, MAX_LIMIT };
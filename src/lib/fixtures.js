@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Recorded pages live at <dir>/<host>/<path>. Paths without an extension get
+// .html, and a query string becomes part of the name:
+//   https://hackernoon.com/u/jane            -> hackernoon.com/u/jane.html
+//   https://hackernoon.com/tagged/saas?page=2 -> hackernoon.com/tagged/saas@page=2.html
+function fixturePath(dir, url) {
+  const { host, pathname, search } = new URL(url);
+  let name = pathname === '/' ? '/index' : pathname.replace(/\/$/, '');
+  if (search) name += `@${search.slice(1).replace(/[/\\]/g, '_')}`;
+  if (!path.extname(pathname)) name += '.html';
+  // URL parsing has already resolved any ../ segments, so this stays inside dir
+  return path.join(dir, host, name);
+}
+
+// A fetch() that answers from recorded pages - 200 with the file, 404 without one
+function fixtureFetch(dir) {
+  return async url => {
+    try {
+      return new Response(fs.readFileSync(fixturePath(dir, url)), { status: 200 });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return new Response('', { status: 404 });
+    }
+  };
+}
+
+// A fetch() that passes through to the network and saves every 200 response as a fixture
+function recordingFetch(dir, fetchImpl = globalThis.fetch) {
+  return async (url, init) => {
+    const response = await fetchImpl(url, init);
+    if (response.status !== 200) return response;
+    const body = await response.text();
+    const file = fixturePath(dir, url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+    return new Response(body, { status: 200, headers: response.headers });
+  };
+}
+
+// HTTP_FIXTURES_DIR switches the fetcher to recorded pages; HTTP_FIXTURES_MODE=record
+// fills that directory from the live site instead. Null when unset.
+function fixtureFetchFromEnv(env = process.env) {
+  if (!env.HTTP_FIXTURES_DIR) return null;
+  const mode = env.HTTP_FIXTURES_MODE || 'replay';
+  if (mode === 'replay') return fixtureFetch(env.HTTP_FIXTURES_DIR);
+  if (mode === 'record') return recordingFetch(env.HTTP_FIXTURES_DIR);
+  throw new Error('HTTP_FIXTURES_MODE must be replay or record');
+}
+
+module.exports = { fixturePath, fixtureFetch, recordingFetch, fixtureFetchFromEnv };
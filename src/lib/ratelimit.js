@@ -0,0 +1,109 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Idle clients are dropped from memory once their bucket has refilled
+const PRUNE_EVERY = 500;
+
+// Token bucket per client: `limit` requests, refilled evenly over `windowMs`.
+// A limit of 0 disables it.
+class RateLimiter {
+  constructor({ limit, windowMs = 60000 }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.buckets = new Map();
+    this.calls = 0;
+  }
+
+  get enabled() {
+    return this.limit > 0;
+  }
+
+  bucket(id, now) {
+    const refillPerMs = this.limit / this.windowMs;
+    const bucket = this.buckets.get(id) || { tokens: this.limit, updatedAt: now };
+    bucket.tokens = Math.min(this.limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  // { allowed, limit, remaining, retryAfterSec }
+  take(id, now = Date.now()) {
+    if (++this.calls % PRUNE_EVERY === 0) this.prune(now);
+    const bucket = this.bucket(id, now);
+    this.buckets.set(id, bucket);
+
+    if (bucket.tokens < 1) {
+      const waitMs = (1 - bucket.tokens) / (this.limit / this.windowMs);
+      return { allowed: false, limit: this.limit, remaining: 0, retryAfterSec: Math.ceil(waitMs / 1000) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, limit: this.limit, remaining: Math.floor(bucket.tokens), retryAfterSec: 0 };
+  }
+
+  // Counters without spending a request
+  peek(id, now = Date.now()) {
+    const tokens = this.buckets.has(id) ? this.bucket(id, now).tokens : this.limit;
+    return { limit: this.limit, remaining: Math.floor(tokens) };
+  }
+
+  prune(now) {
+    for (const [id, bucket] of this.buckets) {
+      if (now - bucket.updatedAt >= this.windowMs) this.buckets.delete(id);
+    }
+  }
+}
+
+// Per-client count that resets at UTC midnight. A limit of 0 disables it.
+class DailyQuota {
+  constructor({ limit }) {
+    this.limit = limit;
+    this.counts = new Map();
+    this.day = null;
+  }
+
+  get enabled() {
+    return this.limit > 0;
+  }
+
+  current(id, now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    // A new UTC day - yesterday's counts no longer matter
+    if (day !== this.day) {
+      this.counts.clear();
+      this.day = day;
+    }
+    return this.counts.get(id) || { day, used: 0 };
+  }
+
+  status(entry, now) {
+    const resetsAt = Date.parse(entry.day) + DAY_MS;
+    return {
+      limit: this.limit,
+      used: entry.used,
+      remaining: Math.max(0, this.limit - entry.used),
+      resetsAt: new Date(resetsAt).toISOString(),
+      retryAfterSec: Math.ceil((resetsAt - now) / 1000)
+    };
+  }
+
+  // { allowed, limit, used, remaining, resetsAt, retryAfterSec }
+  take(id, now = Date.now()) {
+    const entry = this.current(id, now);
+    if (entry.used >= this.limit) return { allowed: false, ...this.status(entry, now) };
+    entry.used++;
+    this.counts.set(id, entry);
+    return { allowed: true, ...this.status(entry, now) };
+  }
+
+  // Give back a take() whose request failed
+  refund(id, now = Date.now()) {
+    const entry = this.current(id, now);
+    if (entry.used > 0) entry.used--;
+  }
+
+  peek(id, now = Date.now()) {
+    const { retryAfterSec, ...status } = this.status(this.current(id, now), now);
+    return status;
+  }
+}
+
+module.exports = { RateLimiter, DailyQuota };
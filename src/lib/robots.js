@@ -0,0 +1,80 @@
+// robots.txt parsing and matching (RFC 9309, plus the common Crawl-delay extension)
+
+// The product token is what robots.txt groups are matched against: "MyBot/1.0 (+url)" -> "mybot"
+function productToken(userAgent) {
+  return userAgent.split(/[/\s]/)[0].toLowerCase();
+}
+
+// Patterns support * wildcards and a trailing $ end anchor
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Returns { rules: [{ allow, pattern, re }], crawlDelaySec } for the groups that
+// apply to userAgent, falling back to the * group
+function parseRobots(text, userAgent) {
+  const token = productToken(userAgent);
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelaySec: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value, re: patternToRegExp(value) });
+    } else if (field === 'crawl-delay') {
+      const n = Number(value);
+      if (Number.isFinite(n) && n >= 0) current.crawlDelaySec = n;
+    }
+  }
+
+  let matching = groups.filter(g => g.agents.some(a => a !== '*' && token.startsWith(a)));
+  if (!matching.length) matching = groups.filter(g => g.agents.includes('*'));
+
+  const delays = matching.map(g => g.crawlDelaySec).filter(d => d !== null);
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelaySec: delays.length ? Math.max(...delays) : null
+  };
+}
+
+// The longest matching pattern wins; on a tie Allow does. No match means allowed.
+function isAllowed(robots, pathAndQuery) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!rule.re.test(pathAndQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// Used when robots.txt is missing (allow everything) or unreachable (allow nothing)
+const ALLOW_ALL = { rules: [], crawlDelaySec: null };
+const DISALLOW_ALL = { rules: [{ allow: false, pattern: '/', re: /^\// }], crawlDelaySec: null };
+
+module.exports = { parseRobots, isAllowed, productToken, ALLOW_ALL, DISALLOW_ALL };
@@ -0,0 +1,82 @@
+const MIN_INTERVAL_MINUTES = 5;
+
+// Fires onTick every intervalMinutes. onTick returns the started job's id, or
+// null when it had to skip (e.g. a scrape was already running).
+class Scheduler {
+  constructor(onTick) {
+    this.onTick = onTick;
+    this.config = null;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.lastRunAt = null;
+    this.lastJobId = null;
+    this.skippedTicks = 0;
+    this.lastSkippedAt = null;
+  }
+
+  // Returns an error message for a bad config, or null
+  static validate(config) {
+    if (!config || typeof config !== 'object') return 'schedule must be an object';
+    const { intervalMinutes, options } = config;
+    if (typeof intervalMinutes !== 'number' || !Number.isFinite(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+      return `intervalMinutes must be a number of at least ${MIN_INTERVAL_MINUTES}`;
+    }
+    if (options !== undefined && (!options || typeof options !== 'object' || Array.isArray(options))) {
+      return 'options must be an object of scrape options';
+    }
+    return null;
+  }
+
+  start(config) {
+    this.stop();
+    this.config = { enabled: true, options: {}, ...config };
+    if (this.config.enabled) this.scheduleNext();
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+    if (this.config) this.config.enabled = false;
+  }
+
+  scheduleNext() {
+    const ms = this.config.intervalMinutes * 60000;
+    this.nextRunAt = new Date(Date.now() + ms).toISOString();
+    this.timer = setTimeout(() => this.tick(), ms);
+    // Don't keep the process alive just for the next tick
+    this.timer.unref();
+  }
+
+  tick() {
+    try {
+      const jobId = this.onTick(this.config.options || {});
+      if (jobId) {
+        this.lastRunAt = new Date().toISOString();
+        this.lastJobId = jobId;
+      } else {
+        this.skippedTicks++;
+        this.lastSkippedAt = new Date().toISOString();
+      }
+    } catch (err) {
+      console.error('Scheduled scrape error:', err.message);
+    }
+    if (this.config?.enabled) this.scheduleNext();
+  }
+
+  status() {
+    return {
+      enabled: !!this.config?.enabled,
+      intervalMinutes: this.config?.intervalMinutes || null,
+      options: this.config?.options || {},
+      source: this.config?.source || null,
+      nextRunAt: this.nextRunAt,
+      lastRunAt: this.lastRunAt,
+      lastJobId: this.lastJobId,
+      skippedTicks: this.skippedTicks,
+      lastSkippedAt: this.lastSkippedAt
+    };
+  }
+}
+
+module.exports = { Scheduler, MIN_INTERVAL_MINUTES };
@@ -0,0 +1,115 @@
+// How strongly each default keyword signals an indie-hacker author. Anything not
+// listed (including caller-supplied keywords) gets DEFAULT_KEYWORD_WEIGHT.
+const KEYWORD_WEIGHTS = {
+  'vibe coding': 3,
+  'indie hacker': 3,
+  'solopreneur': 3,
+  'solo founder': 3,
+  'build in public': 3,
+  'building in public': 3,
+  'bootstrapped startup': 2.5,
+  'solo developer': 2.5,
+  'indie developer': 2.5,
+  'solo entrepreneur': 2.5,
+  'saas founder': 2,
+  'side project': 2,
+  'indie-hackers': 3,
+  'solopreneurship': 3,
+  'bootstrapping': 2,
+  'side-project': 2,
+  'founder-stories': 2,
+  'startup founder': 1.5,
+  'launched my': 1.5,
+  'i built': 1.5,
+  'my startup': 1.5,
+  'makers': 1.5,
+  'startup-lessons': 1.5,
+  'building-startups': 1.5,
+  'saas': 1.5,
+  'founders': 1,
+  'bootstrap': 1,
+  'entrepreneur': 1,
+  'entrepreneurship': 1,
+  'startups': 0.5,
+  'startup': 0.5,
+  'maker': 0.5
+};
+
+const DEFAULT_KEYWORD_WEIGHT = 1.5;
+
+// Maximum points per component; they add up to 100
+const SCORE_WEIGHTS = {
+  articles: 30,
+  keywords: 25,
+  matchQuality: 15,
+  recency: 20,
+  bio: 10
+};
+
+// Articles older than this contribute roughly a third of the recency points
+const RECENCY_DECAY_DAYS = 180;
+
+function keywordWeight(keyword, weights) {
+  const w = weights[keyword.toLowerCase()];
+  return typeof w === 'number' ? w : DEFAULT_KEYWORD_WEIGHT;
+}
+
+// Tag matches are curated by the author, title matches are deliberate,
+// excerpt-only matches are often a passing mention
+function articleMatchQuality(article) {
+  if (article.tagMatches?.length) return 1;
+  if (article.titleMatches?.length) return 0.8;
+  return 0.4;
+}
+
+function articleTime(article) {
+  const t = Date.parse(article.publishedAt || article.seenAt || '');
+  return Number.isNaN(t) ? null : t;
+}
+
+// Score an author 0-100 from their matching articles, keyword strength,
+// match quality, recency and bio. Returns the total and each component.
+function scoreAuthor(author, articles, options = {}) {
+  const weights = { ...KEYWORD_WEIGHTS, ...(options.keywordWeights || {}) };
+  const keywords = options.keywords || [];
+  const now = options.now || Date.now();
+  const arts = articles || [];
+
+  const articleScore = Math.min(1, Math.log2(1 + arts.length) / Math.log2(1 + 8));
+
+  const authorKeywords = new Set(author.matchedKeywords || author.keywords || []);
+  const keywordSum = Array.from(authorKeywords).reduce((sum, kw) => sum + keywordWeight(kw, weights), 0);
+  const keywordScore = Math.min(1, keywordSum / 10);
+
+  const qualityScore = arts.length
+    ? arts.reduce((sum, a) => sum + articleMatchQuality(a), 0) / arts.length
+    : 0;
+
+  const times = arts.map(articleTime).filter(t => t !== null);
+  let recencyScore = 0;
+  if (times.length) {
+    const ageDays = Math.max(0, (now - Math.max(...times)) / 86400000);
+    recencyScore = Math.exp(-ageDays / RECENCY_DECAY_DAYS);
+  }
+
+  const bio = (author.bio || '').toLowerCase();
+  const bioHits = keywords.filter(kw => bio.includes(kw.toLowerCase().replace(/-/g, ' '))).length;
+  const bioScore = Math.min(1, bioHits / 2);
+
+  const breakdown = {
+    articles: articleScore * SCORE_WEIGHTS.articles,
+    keywords: keywordScore * SCORE_WEIGHTS.keywords,
+    matchQuality: qualityScore * SCORE_WEIGHTS.matchQuality,
+    recency: recencyScore * SCORE_WEIGHTS.recency,
+    bio: bioScore * SCORE_WEIGHTS.bio
+  };
+  const total = Object.values(breakdown).reduce((a, b) => a + b, 0);
+
+  const round = n => Math.round(n * 10) / 10;
+  return {
+    score: round(total),
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([k, v]) => [k, round(v)]))
+  };
+}
+
+module.exports = { scoreAuthor, KEYWORD_WEIGHTS, DEFAULT_KEYWORD_WEIGHT };
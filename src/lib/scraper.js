@@ -1,4 +1,8 @@
+const EventEmitter = require('events');
 const cheerio = require('cheerio');
+const { scoreAuthor } = require('./scoring');
+const { PoliteFetcher } = require('./fetcher');
+const { ParseHealth } = require('./drift');
 
 const SEARCH_KEYWORDS = [
   'vibe coding', 'indie hacker', 'solopreneur', 'solo founder',
@@ -16,38 +20,254 @@ const TAG_KEYWORDS = [
 
 const HACKERNOON_BASE = 'https://hackernoon.com';
 
-const USER_AGENTS = [
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-];
+const ARTICLE_SLUG_RE = /^[a-z0-9-]+$/;
+
+// Profile enrichment attempts kept per author
+const MAX_ENRICHMENTS = 20;
+
+// Bio/social link changes kept per author
+const MAX_CHANGES = 50;
+
+// Profiles older than this are re-fetched on the next run
+const DEFAULT_PROFILE_TTL_DAYS = 30;
+const DAY_MS = 86400000;
+
+// Authors' article listings are walked again after this long
+const DEFAULT_BACKFILL_TTL_DAYS = 30;
+
+// Top-level paths on hackernoon.com that look like slugs but aren't articles
+const NON_ARTICLE_PATHS = new Set([
+  'about', 'login', 'signup', 'search', 'tagged', 'tags', 'companies', 'techbeat',
+  'newsletter', 'write', 'settings', 'contact', 'privacy', 'terms', 'c', 'u', 'sitemap.xml'
+]);
+
+// HackerNoon dates show up as unix seconds, milliseconds or ISO strings
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  const date = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Counts come as numbers, numeric strings, arrays, or { total } / per-reaction objects
+function countOf(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'object') {
+    if (value.total !== undefined) return countOf(value.total);
+    const counts = Object.values(value).map(Number).filter(Number.isFinite);
+    return counts.length ? counts.reduce((sum, n) => sum + n, 0) : null;
+  }
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// First of several possible field names that holds a value
+function firstOf(data, fields) {
+  const field = fields.find(f => data[f] !== undefined && data[f] !== null);
+  return field ? data[field] : undefined;
+}
+
+const WORDS_PER_MINUTE = 265;
+
+// HackerNoon's own estimate in minutes, else one from the body's word count
+function readingTimeMinutes(pageProps) {
+  const stated = countOf(firstOf(pageProps, ['estimatedTime', 'readingTime', 'readTime', 'readingTimeMinutes']));
+  if (stated) return stated;
+  const body = firstOf(pageProps, ['markup', 'body', 'content']);
+  if (typeof body !== 'string') return null;
+  const words = body.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+  return words ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : null;
+}
+
+// Tag slugs, whether tags come as strings or { slug, title } objects, main tag included
+function articleTags(pageProps) {
+  const raw = [...(Array.isArray(pageProps.tags) ? pageProps.tags : []), pageProps.mainTag].filter(Boolean);
+  const slugs = raw
+    .map(t => typeof t === 'string' ? t : t.slug || t.title || '')
+    .map(t => String(t).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-'))
+    .filter(Boolean);
+  return [...new Set(slugs)];
+}
+
+const COMPANY_NEWS_TAGS = new Set(['tech-company-news', 'company-news']);
 
-class HackerNoonScraper {
-  constructor(existingState) {
+function articleFlags(pageProps, tags) {
+  return {
+    sponsored: !!(firstOf(pageProps, ['isSponsored', 'sponsored', 'isPromoted', 'brandedContent']) || pageProps.sponsor),
+    techCompanyNews: !!firstOf(pageProps, ['isTechCompanyNews', 'techCompanyNews', 'isCompanyNews', 'companyNews']) ||
+      tags.some(t => COMPANY_NEWS_TAGS.has(t))
+  };
+}
+
+// Handle of a listing entry's author, when the entry says
+function storyAuthorHandle(story) {
+  const handle = story.profile?.handle || story.author?.handle || story.authorHandle ||
+    (typeof story.author === 'string' ? story.author : null);
+  return handle ? String(handle).replace(/^@/, '').toLowerCase() : null;
+}
+
+// Where a profile page keeps the author's own story list, in pageProps or pageProps.data
+const PROFILE_STORY_KEYS = ['stories', 'articles', 'posts'];
+
+// Slugs in a profile's own story list - the only entries trusted without author data,
+// unlike the trending/related blocks around them
+function profileStorySlugs(pageProps) {
+  for (const holder of [pageProps, pageProps?.data]) {
+    for (const key of PROFILE_STORY_KEYS) {
+      if (Array.isArray(holder?.[key])) return holder[key].map(story => story?.slug).filter(Boolean);
+    }
+  }
+  return [];
+}
+
+// Article metadata from a story object - an article page's data or a listing entry
+function storyMetadata(story) {
+  const tags = articleTags(story);
+  return {
+    publishedAt: parseDate(story.publishedAt || story.createdAt),
+    readingTimeMinutes: readingTimeMinutes(story),
+    reactions: countOf(firstOf(story, ['reactionsCount', 'reactionCount', 'reactions'])),
+    comments: countOf(firstOf(story, ['commentsCount', 'commentCount', 'comments'])),
+    tags,
+    ...articleFlags(story, tags)
+  };
+}
+
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+// Publishing activity across an author's matched articles. The rate is taken over
+// the span from first to last publish date, counted as at least one month.
+function publishingActivity(articles) {
+  const dates = articles.map(x => x.publishedAt).filter(Boolean).sort();
+  if (!dates.length) return { firstPublishedAt: null, lastPublishedAt: null, articlesPerMonth: null };
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const months = Math.max(1, (Date.parse(last) - Date.parse(first)) / MONTH_MS);
+  return {
+    firstPublishedAt: first,
+    lastPublishedAt: last,
+    articlesPerMonth: Math.round((dates.length / months) * 100) / 100
+  };
+}
+
+// Normalize a caller-supplied keyword/tag list, falling back to the defaults
+function normalizeTerms(terms, fallback, { slug = false } = {}) {
+  if (!Array.isArray(terms)) return fallback;
+  const cleaned = terms
+    .filter(t => typeof t === 'string')
+    .map(t => t.trim().toLowerCase())
+    .map(t => slug ? t.replace(/^#/, '').replace(/\s+/g, '-') : t.replace(/\s+/g, ' '))
+    .filter(Boolean);
+  return cleaned.length ? [...new Set(cleaned)] : fallback;
+}
+
+// The keyword/tag set a state was built with, order-insensitive
+function topicOf({ keywords, tags } = {}) {
+  return {
+    keywords: [...normalizeTerms(keywords, SEARCH_KEYWORDS)].sort(),
+    tags: [...normalizeTerms(tags, TAG_KEYWORDS, { slug: true })].sort()
+  };
+}
+
+// Processed articles and authors only mean something for the keyword/tag set they
+// were matched against, so a state built for another set can't be continued.
+// Keywords or tags left out continue the stored ones, so only sets the caller
+// sent are compared. States from before the set was recorded count as the defaults.
+function topicChanged(state, options = {}) {
+  if (!state || !(state.processedUrls?.length || state.authorsMap?.length)) return false;
+  const stored = state.topic || topicOf();
+  const wanted = topicOf({ keywords: options.keywords ?? stored.keywords, tags: options.tags ?? stored.tags });
+  return stored.keywords.join('\n') !== wanted.keywords.join('\n') || stored.tags.join('\n') !== wanted.tags.join('\n');
+}
+
+// Run worker(item, index) over items with at most `concurrency` in flight. Stops
+// handing out items once shouldStop() is true and resolves to how many were started.
+async function runPool(items, concurrency, worker, shouldStop = () => false) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+  return next;
+}
+
+// Emits 'phase', 'sitemap', 'tag', 'progress', 'article', 'author', 'profile' and
+// 'backfill' events as a scrape runs so callers can follow along without parsing logs, plus
+// 'checkpoint' events carrying everything needed to resume an interrupted run
+class HackerNoonScraper extends EventEmitter {
+  constructor(existingState, options = {}) {
+    super();
     const state = existingState || {};
-    this.authorsMap = new Map(state.authorsMap || []);
+    this.topicMismatch = topicChanged(existingState, options);
+    // Without keywords/tags, carry on with the set the stored state was built for
+    this.keywords = normalizeTerms(options.keywords ?? state.topic?.keywords, SEARCH_KEYWORDS);
+    this.tags = normalizeTerms(options.tags ?? state.topic?.tags, TAG_KEYWORDS, { slug: true });
+    this.keywordWeights = options.keywordWeights || {};
+    // Sponsored and tech-company-news articles don't count as matches
+    this.skipSponsored = !!options.skipSponsored;
+    // Stamped on matched articles and enrichment attempts so they can be traced to a run
+    this.runId = options.runId || null;
+    // keywords is a Set in memory but an array once serialized
+    this.authorsMap = new Map((state.authorsMap || []).map(([handle, a]) => [
+      handle,
+      { ...a, keywords: new Set(Array.isArray(a.keywords) ? a.keywords : []) }
+    ]));
     this.authorArticles = new Map(state.authorArticles || []);
     this.processedUrls = new Set(state.processedUrls || []);
     this.processedProfiles = new Set(state.processedProfiles || []);
     this.seenSlugs = new Set(state.seenSlugs || []);
+    // Paces requests and obeys robots.txt; share one between scrapers to share its per-host state
+    this.fetcher = options.fetcher || new PoliteFetcher();
+    // Article URLs being fetched right now - not yet safe to checkpoint as processed
+    this.inFlight = new Set();
+    // Article parse outcomes for the current run - a spike in failures means the markup moved
+    this.parseHealth = new ParseHealth();
+    this.cancelRequested = false;
+    this.progress = { phase: 'idle' };
+  }
+
+  setPhase(phase) {
+    this.progress.phase = phase;
+    this.emit('phase', { phase });
+  }
+
+  // Ask a running scrape to stop at the next article/profile boundary
+  cancel() {
+    this.cancelRequested = true;
   }
 
   exportState() {
     return {
-      processedUrls: Array.from(this.processedUrls),
+      topic: topicOf({ keywords: this.keywords, tags: this.tags }),
+      processedUrls: Array.from(this.processedUrls).filter(url => !this.inFlight.has(url)),
       processedProfiles: Array.from(this.processedProfiles),
       seenSlugs: Array.from(this.seenSlugs),
-      authorsMap: Array.from(this.authorsMap.entries()),
+      authorsMap: Array.from(this.authorsMap.entries(), ([handle, a]) => [
+        handle,
+        { ...a, keywords: Array.from(a.keywords || []) }
+      ]),
       authorArticles: Array.from(this.authorArticles.entries())
     };
   }
 
-  delay(ms) {
-    return new Promise(r => setTimeout(r, ms));
+  // Log field changes ({ field: { from, to } }) against the current run for run diffs
+  recordChanges(author, fields) {
+    if (!Object.keys(fields).length) return;
+    author.changes = [...(author.changes || []), {
+      at: new Date().toISOString(),
+      runId: this.runId,
+      fields
+    }].slice(-MAX_CHANGES);
   }
 
-  getRandomUserAgent() {
-    return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+  // Request counters (see PoliteFetcher) accumulated since `before`
+  crawlStatsSince(before) {
+    const now = this.fetcher.stats || {};
+    return Object.fromEntries(Object.keys(now).map(k => [k, now[k] - (before[k] || 0)]));
   }
 
   cleanName(raw) {
@@ -55,35 +275,9 @@ class HackerNoonScraper {
     return raw.replace(/^by\s*/i, '').replace(/@[\w-]+/g, '').replace(/\s+/g, ' ').trim();
   }
 
-  async fetchPage(url, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': this.getRandomUserAgent(),
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Connection': 'keep-alive',
-            'Cache-Control': 'max-age=0'
-          }
-        });
-
-        if (!response.ok) {
-          console.log(`  HTTP ${response.status} for ${url}`);
-          if (response.status === 429) {
-            await this.delay(5000 * (i + 1));
-            continue;
-          }
-          return null;
-        }
-
-        return await response.text();
-      } catch (err) {
-        console.log(`  Fetch error (attempt ${i + 1}): ${err.message}`);
-        await this.delay(2000 * (i + 1));
-      }
-    }
-    return null;
+  // Throttling, retries and robots.txt are the fetcher's job; null when the page can't be had
+  async fetchPage(url) {
+    return this.fetcher.get(url);
   }
 
   // Extract __NEXT_DATA__ JSON from HTML
@@ -119,20 +313,98 @@ class HackerNoonScraper {
       if (this.processedUrls.has(url)) continue;
 
       this.seenSlugs.add(slug);
-      articles.push({ slug, url });
+      articles.push({ slug, url, source: 'sitemap' });
 
       if (articles.length >= maxArticles) break;
     }
 
     console.log(`    Found ${articles.length} new article URLs`);
+    this.emit('sitemap', { url: sitemapUrl, articles: articles.length });
+    return articles;
+  }
+
+  // Pull the stories out of a listing page - a tag page or an author's profile - in
+  // page order. __NEXT_DATA__ entries carry title, excerpt, tags and dates; the HTML
+  // link fallback (unless turned off) only has a slug and the link text as the title.
+  extractListingStories(html, { linkFallback = true } = {}) {
+    const stories = new Map();
+    const isArticleSlug = slug => typeof slug === 'string' && ARTICLE_SLUG_RE.test(slug) &&
+      !NON_ARTICLE_PATHS.has(slug) && !slug.startsWith('u-') && !slug.startsWith('tagged-');
+
+    const nextData = this.extractNextData(html);
+    const pageProps = nextData?.props?.pageProps;
+    if (pageProps) {
+      // Listing shape has moved around between deploys, so walk it for story-like objects
+      // (skipping `tags` arrays, whose entries also carry slugs)
+      const stack = [pageProps];
+      while (stack.length) {
+        const node = stack.shift();
+        if (!Array.isArray(node) && node.title && isArticleSlug(node.slug) && !stories.has(node.slug)) {
+          stories.set(node.slug, node);
+        }
+        for (const [key, value] of Object.entries(node)) {
+          if (key !== 'tags' && value && typeof value === 'object') stack.push(value);
+        }
+      }
+    }
+
+    if (stories.size === 0 && linkFallback) {
+      const $ = cheerio.load(html);
+      $('a[href]').each((_, el) => {
+        const href = ($(el).attr('href') || '').split(/[?#]/)[0];
+        const slug = href.replace(HACKERNOON_BASE, '').replace(/^\//, '');
+        if (isArticleSlug(slug) && !stories.has(slug)) stories.set(slug, { slug, title: $(el).text().trim() });
+      });
+    }
+
+    return Array.from(stories.values());
+  }
+
+  // Article slugs on a tag listing page
+  extractTagPageSlugs(html) {
+    return this.extractListingStories(html).map(story => story.slug);
+  }
+
+  // Get articles from a tag's listing pages
+  async collectFromTag(tag, maxPages = 3, maxArticles = 100) {
+    const articles = [];
+
+    for (let page = 1; page <= maxPages && articles.length < maxArticles; page++) {
+      const tagUrl = `${HACKERNOON_BASE}/tagged/${encodeURIComponent(tag)}` + (page > 1 ? `?page=${page}` : '');
+      console.log(`  Fetching tag page: ${tagUrl}`);
+      const html = await this.fetchPage(tagUrl);
+      if (!html) break;
+
+      const slugs = this.extractTagPageSlugs(html);
+      if (slugs.length === 0) break;
+
+      let newOnPage = 0;
+      for (const slug of slugs) {
+        const url = `${HACKERNOON_BASE}/${slug}`;
+        if (this.seenSlugs.has(slug)) continue;
+        if (this.processedUrls.has(url)) continue;
+
+        this.seenSlugs.add(slug);
+        articles.push({ slug, url, source: `tag:${tag}` });
+        newOnPage++;
+
+        if (articles.length >= maxArticles) break;
+      }
+
+      // Listings are newest-first, so a page with nothing new means we've caught up
+      if (newOnPage === 0) break;
+    }
+
+    console.log(`    Found ${articles.length} new article URLs for #${tag}`);
+    this.emit('tag', { tag, articles: articles.length });
     return articles;
   }
 
   // Check if article matches keywords
   matchesKeywords(title, excerpt, tags) {
     const text = `${title} ${excerpt} ${(tags || []).join(' ')}`.toLowerCase();
-    return SEARCH_KEYWORDS.some(kw => text.includes(kw.toLowerCase())) ||
-           TAG_KEYWORDS.some(tag => text.includes(tag.replace(/-/g, ' ')));
+    return this.keywords.some(kw => text.includes(kw.toLowerCase())) ||
+           this.tags.some(tag => text.includes(tag.replace(/-/g, ' ')));
   }
 
   // Get author and article info from article page
@@ -140,25 +412,52 @@ class HackerNoonScraper {
     if (this.processedUrls.has(articleUrl)) return null;
     this.processedUrls.add(articleUrl);
 
-    const html = await this.fetchPage(articleUrl);
-    if (!html) return null;
+    this.inFlight.add(articleUrl);
+    let html;
+    try {
+      html = await this.fetchPage(articleUrl);
+    } finally {
+      this.inFlight.delete(articleUrl);
+    }
+    if (!html) {
+      this.parseHealth.record('fetch-failed', articleUrl);
+      return null;
+    }
 
     const nextData = this.extractNextData(html);
-    if (!nextData) return null;
+    if (!nextData) {
+      this.parseHealth.record('no-next-data', articleUrl, html);
+      return null;
+    }
 
-    const pageProps = nextData.props?.pageProps?.data || {};
+    const pageProps = nextData.props?.pageProps?.data;
+    if (!pageProps || typeof pageProps !== 'object') {
+      this.parseHealth.record('no-page-data', articleUrl, html);
+      return null;
+    }
+
+    // Every article has an author, so a missing profile means the data moved
     const profile = pageProps.profile || {};
+    if (!profile.handle) {
+      this.parseHealth.record('no-profile', articleUrl, html);
+      return null;
+    }
 
     const title = pageProps.title || '';
     const excerpt = pageProps.excerpt || '';
-    const tags = pageProps.tags?.map(t => t.slug || t) || [];
+    const meta = storyMetadata(pageProps);
 
-    // Check if matches our keywords
-    if (!this.matchesKeywords(title, excerpt, tags)) {
+    if (this.isSkippedAsSponsored(meta)) {
+      this.parseHealth.record('sponsored', articleUrl);
       return null;
     }
 
-    if (!profile.handle) return null;
+    // Check if matches our keywords
+    if (!this.matchesKeywords(title, excerpt, meta.tags)) {
+      this.parseHealth.record('no-match', articleUrl);
+      return null;
+    }
+    this.parseHealth.record('matched', articleUrl);
 
     // Extract website from callToActions if available
     let website = '';
@@ -178,33 +477,59 @@ class HackerNoonScraper {
       website = profile.adLink;
     }
 
+    return {
+      handle: profile.handle,
+      name: this.cleanName(profile.displayName || profile.handle),
+      profileUrl: HACKERNOON_BASE + '/u/' + profile.handle,
+      bio: profile.bio || '',
+      website,
+      articleTitle: title,
+      articleUrl,
+      ...meta,
+      ...this.keywordMatches(title, excerpt, meta.tags)
+    };
+  }
+
+  isSkippedAsSponsored(meta) {
+    return this.skipSponsored && (meta.sponsored || meta.techCompanyNews);
+  }
+
+  // Which keywords and tags an article matched, and where
+  keywordMatches(title, excerpt, tags) {
     const matchedKeywords = [];
-    for (const kw of SEARCH_KEYWORDS) {
+    const titleMatches = [];
+    const tagMatches = [];
+    for (const kw of this.keywords) {
       if (`${title} ${excerpt}`.toLowerCase().includes(kw.toLowerCase())) {
         matchedKeywords.push(kw);
       }
+      if (title.toLowerCase().includes(kw.toLowerCase())) {
+        titleMatches.push(kw);
+      }
     }
     for (const tag of tags) {
-      if (TAG_KEYWORDS.includes(tag)) {
+      if (this.tags.includes(tag)) {
         matchedKeywords.push(tag);
+        tagMatches.push(tag);
       }
     }
-
     return {
-      handle: profile.handle,
-      name: this.cleanName(profile.displayName || profile.handle),
-      profileUrl: HACKERNOON_BASE + '/u/' + profile.handle,
-      bio: profile.bio || '',
-      website,
-      articleTitle: title,
-      articleUrl,
-      matchedKeywords: [...new Set(matchedKeywords)]
+      matchedKeywords: [...new Set(matchedKeywords)],
+      titleMatches,
+      tagMatches: [...new Set(tagMatches)]
     };
   }
 
+  // Stamp a matched article with when and by which run it was found
+  addAuthorArticle(handle, article) {
+    if (!this.authorArticles.has(handle)) {
+      this.authorArticles.set(handle, []);
+    }
+    this.authorArticles.get(handle).push({ ...article, seenAt: new Date().toISOString(), runId: this.runId });
+  }
+
   // Get social links from profile page
   async getProfileSocial(profileUrl) {
-    if (this.processedProfiles.has(profileUrl)) return null;
     this.processedProfiles.add(profileUrl);
 
     const html = await this.fetchPage(profileUrl);
@@ -244,18 +569,12 @@ class HackerNoonScraper {
     return { ...social, name };
   }
 
-  async scrape(options = {}) {
-    const startTime = Date.now();
-    const maxArticlesPerSitemap = options.maxArticlesPerSitemap || 150;
-    const sitemapsToCheck = options.sitemapsToCheck || 10;
-
-    console.log(`Starting scrape - Already processed: ${this.processedUrls.size} URLs`);
-
+  // Phase 1: collect unseen article URLs from recent sitemaps and tag listings
+  async discoverArticles({ sitemapsToCheck, maxArticlesPerSitemap, tagPagesPerTag, maxArticlesPerTag }, counters) {
     const allArticles = [];
-
-    // Get recent sitemaps (most recent first)
-    console.log('Phase 1: Fetching articles from sitemaps...');
-    const sitemapIndex = await this.fetchPage(`${HACKERNOON_BASE}/sitemap.xml`);
+    // 0 sitemaps (or 0 articles per sitemap) means tag listings only
+    const useSitemaps = sitemapsToCheck > 0 && maxArticlesPerSitemap > 0;
+    const sitemapIndex = useSitemaps ? await this.fetchPage(`${HACKERNOON_BASE}/sitemap.xml`) : null;
     if (sitemapIndex) {
       const sitemapUrls = [];
       const sitemapRegex = /<loc>(https:\/\/hackernoon\.com\/sitemaps\/sitemap-\d+)<\/loc>/g;
@@ -268,40 +587,417 @@ class HackerNoonScraper {
       const recentSitemaps = sitemapUrls.slice(-sitemapsToCheck).reverse();
 
       for (const sitemapUrl of recentSitemaps) {
+        if (this.cancelRequested) break;
         const articles = await this.collectFromSitemap(sitemapUrl, maxArticlesPerSitemap);
         allArticles.push(...articles);
-        await this.delay(1000);
+        this.progress.sitemapsFetched++;
+        this.progress.articlesFound = allArticles.length;
+      }
+    }
+
+    const sitemapArticleCount = allArticles.length;
+
+    // Tag listings are much higher precision than the raw sitemap order
+    if (tagPagesPerTag > 0) {
+      console.log('Phase 1b: Discovering articles from tag pages...');
+      for (const tag of this.tags) {
+        if (this.cancelRequested) break;
+        const articles = await this.collectFromTag(tag, tagPagesPerTag, maxArticlesPerTag);
+        allArticles.push(...articles);
+        this.progress.tagsFetched++;
+        this.progress.articlesFound = allArticles.length;
       }
     }
 
-    console.log(`Total articles to check: ${allArticles.length}`);
+    console.log(`Total articles to check: ${allArticles.length} (${sitemapArticleCount} from sitemaps, ${allArticles.length - sitemapArticleCount} from tags)`);
+    counters.discovered = allArticles.length;
+    counters.fromSitemaps = sitemapArticleCount;
+    return allArticles;
+  }
+
+  // Never enriched, last fetch failed, or older than the TTL
+  needsEnrichment(author, ttlMs, now = Date.now()) {
+    const last = Date.parse(author.lastEnrichedAt || '');
+    if (Number.isNaN(last)) return true;
+    return now - last > ttlMs;
+  }
+
+  // Phase 3: fetch social links for each author, replacing links that have
+  // gone away. onProfile(fetchedSoFar) runs after each profile.
+  async enrichProfiles(authors, onProfile) {
+    this.progress.profilesTotal = authors.length;
+    this.progress.profilesFetched = 0;
+    let refreshed = 0;
+    let failed = 0;
+
+    await runPool(authors, this.fetcher.concurrency || 1, async a => {
+      const social = await this.getProfileSocial(a.profileUrl);
+      const now = new Date().toISOString();
+      const fieldChanges = {};
+
+      if (social) {
+        for (const field of ['twitter', 'linkedin', 'github']) {
+          const value = social[field] || '';
+          if ((a[field] || '') !== value) fieldChanges[field] = { from: a[field] || '', to: value };
+          a[field] = value;
+        }
+        // Article call-to-actions are a better website source, so only fill gaps
+        if (social.website && !a.website) {
+          fieldChanges.website = { from: '', to: social.website };
+          a.website = social.website;
+        }
+        this.recordChanges(a, fieldChanges);
+        if (social.name && social.name.length > (a.name?.length || 0)) {
+          a.name = social.name;
+        }
+        a.lastEnrichedAt = now;
+        refreshed++;
+        this.emit('profile', {
+          handle: a.handle,
+          twitter: a.twitter,
+          linkedin: a.linkedin,
+          github: a.github,
+          website: a.website || '',
+          changed: Object.keys(fieldChanges)
+        });
+      } else {
+        failed++;
+      }
+
+      a.enrichments = [...(a.enrichments || []), {
+        at: now,
+        runId: this.runId,
+        ok: !!social,
+        found: social
+          ? ['twitter', 'linkedin', 'github', 'website'].filter(k => social[k])
+          : [],
+        changed: Object.keys(fieldChanges)
+      }].slice(-MAX_ENRICHMENTS);
+
+      this.progress.profilesFetched++;
+      if (onProfile) onProfile(this.progress.profilesFetched);
+    }, () => this.cancelRequested);
+
+    return { refreshed, failed };
+  }
+
+  // Walk an author's profile listing, up to maxPages pages. A page that can't be
+  // had or adds nothing new ends the listing. Null when the profile itself can't be fetched.
+  // Profile pages also show other authors' stories (trending, related), so only entries
+  // by this author are kept. Entries without author data count only when they're in the
+  // profile's own story list, and links without __NEXT_DATA__ aren't trusted at all.
+  async collectAuthorStories(handle, maxPages) {
+    const stories = new Map();
+    let pages = 0;
+    let complete = false;
+
+    for (let page = 1; page <= maxPages; page++) {
+      const url = `${HACKERNOON_BASE}/u/${encodeURIComponent(handle)}` + (page > 1 ? `?page=${page}` : '');
+      const html = await this.fetchPage(url);
+      if (!html) {
+        if (page === 1) return null;
+        complete = true;
+        break;
+      }
+      pages++;
+
+      const ownList = new Set(profileStorySlugs(this.extractNextData(html)?.props?.pageProps));
+      const own = this.extractListingStories(html, { linkFallback: false }).filter(story => {
+        const author = storyAuthorHandle(story);
+        return author ? author === handle.toLowerCase() : ownList.has(story.slug);
+      });
+      const fresh = own.filter(story => !stories.has(story.slug));
+      if (fresh.length === 0) {
+        complete = true;
+        break;
+      }
+      for (const story of fresh) stories.set(story.slug, story);
+    }
+
+    return { stories: Array.from(stories.values()), pages, complete };
+  }
+
+  // Never backfilled, or longer ago than the TTL
+  needsBackfill(author, ttlMs, now = Date.now()) {
+    const last = Date.parse(author.backfill?.at || '');
+    if (Number.isNaN(last)) return true;
+    return now - last > ttlMs;
+  }
+
+  // Phase 4: run every article on each author's profile listing through the keyword
+  // match. Matching articles not seen yet are added, and the author gets a
+  // matching-to-total ratio - a regular writer on the topic versus a one-off
+  // mention. onAuthor(doneSoFar) runs after each author.
+  async backfillAuthors(authors, maxPages, onAuthor) {
+    this.progress.backfillTotal = authors.length;
+    this.progress.backfilled = 0;
+    const totals = { authors: 0, failed: 0, articlesListed: 0, articlesAdded: 0 };
+
+    await runPool(authors, this.fetcher.concurrency || 1, async a => {
+      const listing = await this.collectAuthorStories(a.handle, maxPages);
+      if (listing) {
+        const known = new Set((this.authorArticles.get(a.handle) || []).map(x => x.url));
+        let matched = 0;
+        let added = 0;
+
+        for (const story of listing.stories) {
+          const url = `${HACKERNOON_BASE}/${story.slug}`;
+          const title = story.title || '';
+          const excerpt = story.excerpt || '';
+          const meta = storyMetadata(story);
+          // Articles matched from their full page count even if the listing entry alone wouldn't
+          if (known.has(url)) {
+            matched++;
+            continue;
+          }
+          if (this.isSkippedAsSponsored(meta) || !this.matchesKeywords(title, excerpt, meta.tags)) continue;
+          matched++;
+
+          const matches = this.keywordMatches(title, excerpt, meta.tags);
+          this.addAuthorArticle(a.handle, {
+            title,
+            url,
+            keywords: matches.matchedKeywords,
+            titleMatches: matches.titleMatches,
+            tagMatches: matches.tagMatches,
+            ...meta,
+            source: 'backfill'
+          });
+          matches.matchedKeywords.forEach(kw => a.keywords.add(kw));
+          // Already accounted for if it turns up in a sitemap or tag listing later
+          this.processedUrls.add(url);
+          this.seenSlugs.add(story.slug);
+          added++;
+        }
+
+        const listed = listing.stories.length;
+        a.backfill = {
+          at: new Date().toISOString(),
+          runId: this.runId,
+          pages: listing.pages,
+          complete: listing.complete,
+          articlesListed: listed,
+          articlesMatched: matched,
+          matchRatio: listed ? Math.round((matched / listed) * 1000) / 1000 : null
+        };
+        totals.authors++;
+        totals.articlesListed += listed;
+        totals.articlesAdded += added;
+        this.emit('backfill', { handle: a.handle, ...a.backfill, added });
+      } else {
+        totals.failed++;
+      }
+
+      this.progress.backfilled++;
+      if (onAuthor) onAuthor(this.progress.backfilled);
+    }, () => this.cancelRequested);
+
+    return totals;
+  }
+
+  // Turn the raw author records into the public, scored output - best fits first
+  finalizeAuthors() {
+    return Array.from(this.authorsMap.values()).map(a => {
+      const arts = this.authorArticles.get(a.handle) || [];
+      const { score, breakdown } = scoreAuthor(
+        { bio: a.bio, matchedKeywords: Array.from(a.keywords || []) },
+        arts,
+        { keywords: [...this.keywords, ...this.tags], keywordWeights: this.keywordWeights }
+      );
+      return {
+        handle: a.handle,
+        name: a.name && a.name.length >= 2 ? a.name : a.handle,
+        profileUrl: a.profileUrl,
+        bio: a.bio || '',
+        twitter: a.twitter || '',
+        linkedin: a.linkedin || '',
+        github: a.github || '',
+        website: a.website || '',
+        sampleArticles: arts.slice(0, 5).map(x => ({
+          title: x.title,
+          url: x.url,
+          keywords: x.keywords,
+          publishedAt: x.publishedAt || null
+        })),
+        matchedKeywords: Array.from(a.keywords || []),
+        matchingArticles: arts.length,
+        ...publishingActivity(arts),
+        firstSeenAt: arts.map(x => x.seenAt).filter(Boolean).sort()[0] || null,
+        lastArticleAt: arts.map(x => x.publishedAt || x.seenAt).filter(Boolean).sort().pop() || null,
+        lastEnrichedAt: a.lastEnrichedAt || null,
+        backfill: a.backfill || null,
+        relevanceScore: score,
+        scoreBreakdown: breakdown
+      };
+    }).sort((x, y) => y.relevanceScore - x.relevanceScore);
+  }
+
+  // Re-fetch social links without scraping articles. Targets the given handles,
+  // or every author whose profile is older than maxAgeDays (all of them if 0).
+  async refreshProfiles(options = {}) {
+    const startTime = Date.now();
+    const crawlBefore = { ...this.fetcher.stats };
+    const maxAgeMs = (options.maxAgeDays ?? DEFAULT_PROFILE_TTL_DAYS) * DAY_MS;
+    const handles = options.handles ? new Set(options.handles.map(h => h.toLowerCase())) : null;
+
+    const targets = Array.from(this.authorsMap.values()).filter(a => handles
+      ? handles.has(a.handle.toLowerCase())
+      : this.needsEnrichment(a, maxAgeMs));
+
+    this.progress = { phase: 'idle', profilesTotal: 0, profilesFetched: 0 };
+    console.log(`Refreshing ${targets.length} author profiles...`);
+    this.setPhase('enriching');
+    const { refreshed, failed } = await this.enrichProfiles(targets);
+
+    const finalAuthors = this.finalizeAuthors();
+    this.setPhase(this.cancelRequested ? 'cancelled' : 'done');
+    console.log(`Profile refresh ${this.cancelRequested ? 'cancelled' : 'complete'}: ${refreshed} refreshed, ${failed} failed`);
+
+    return {
+      authors: finalAuthors,
+      stats: {
+        totalAuthors: finalAuthors.length,
+        newAuthorsThisRun: 0,
+        withTwitter: finalAuthors.filter(a => a.twitter).length,
+        withLinkedIn: finalAuthors.filter(a => a.linkedin).length,
+        withGitHub: finalAuthors.filter(a => a.github).length,
+        withWebsite: finalAuthors.filter(a => a.website).length,
+        articlesProcessed: 0,
+        profilesTargeted: targets.length,
+        profilesRefreshed: refreshed,
+        profilesFailed: failed,
+        totalArticlesProcessed: this.processedUrls.size,
+        processingTimeMs: Date.now() - startTime,
+        crawl: this.crawlStatsSince(crawlBefore),
+        cancelled: this.cancelRequested
+      },
+      query: {
+        keywords: this.keywords,
+        tags: this.tags
+      },
+      state: this.exportState()
+    };
+  }
+
+  // options.resume takes the `run` of a 'checkpoint' event and skips straight
+  // back to the phase that was interrupted
+  async scrape(options = {}) {
+    if (this.topicMismatch) {
+      throw Object.assign(
+        new Error('The stored state was built for a different keyword/tag set - reset it before scraping a new topic'),
+        { code: 'TOPIC_CHANGED' }
+      );
+    }
+    const resume = options.resume || null;
+    const startTime = resume ? resume.startTime : Date.now();
+    const maxArticlesPerSitemap = options.maxArticlesPerSitemap ?? 150;
+    const sitemapsToCheck = options.sitemapsToCheck ?? 10;
+    const tagPagesPerTag = options.tagPagesPerTag ?? 3;
+    const maxArticlesPerTag = options.maxArticlesPerTag || 100;
+    const checkpointEvery = options.checkpointEvery || 25;
+    const backfillPages = options.backfillPages || 0;
+    const profileTtlMs = (options.profileTtlDays ?? DEFAULT_PROFILE_TTL_DAYS) * DAY_MS;
+    const backfillTtlMs = (options.backfillTtlDays ?? DEFAULT_BACKFILL_TTL_DAYS) * DAY_MS;
+
+    console.log(`Starting scrape - Already processed: ${this.processedUrls.size} URLs`);
+    console.log(`  Keywords: ${this.keywords.length}, tags: ${this.tags.length}`);
+
+    this.progress = {
+      phase: 'idle',
+      sitemapsFetched: 0,
+      tagsFetched: 0,
+      articlesFound: 0,
+      articlesProcessed: 0,
+      articlesMatched: 0,
+      newAuthors: 0,
+      profilesTotal: 0,
+      profilesFetched: 0,
+      backfillTotal: 0,
+      backfilled: 0
+    };
+    const { parse: parseCounts, ...resumedCounters } = resume?.counters || {};
+    this.parseHealth = new ParseHealth(parseCounts);
+    const counters = resume ? resumedCounters : {
+      discovered: 0,
+      fromSitemaps: 0,
+      processed: 0,
+      matched: 0,
+      newAuthors: 0
+    };
+    // Articles still to process - discovery marks them seen, so losing this list loses them
+    let queue = [];
+    // Articles run concurrently and finish out of order, so track which are done
+    const completed = new Set();
+    const crawlBefore = { ...this.fetcher.stats };
+
+    const checkpoint = () => {
+      this.emit('checkpoint', {
+        state: this.exportState(),
+        run: {
+          phase: this.progress.phase,
+          startTime,
+          counters: { ...counters, parse: this.parseHealth.counts() },
+          pendingArticles: queue.filter((_, i) => !completed.has(i))
+        }
+      });
+    };
+
+    if (resume) {
+      console.log(`Resuming interrupted run in ${resume.phase} phase (${resume.pendingArticles.length} articles pending)`);
+      queue = resume.pendingArticles;
+      Object.assign(this.progress, {
+        articlesFound: counters.discovered,
+        articlesProcessed: counters.processed,
+        articlesMatched: counters.matched,
+        newAuthors: counters.newAuthors
+      });
+    } else {
+      this.setPhase('discovering');
+
+      // Get recent sitemaps (most recent first)
+      console.log('Phase 1: Fetching articles from sitemaps...');
+      queue = await this.discoverArticles({ sitemapsToCheck, maxArticlesPerSitemap, tagPagesPerTag, maxArticlesPerTag }, counters);
+    }
 
     // Process articles and extract author data
     console.log('Phase 2: Processing articles and finding relevant authors...');
-    let newAuthorsCount = 0;
-    let processedCount = 0;
-    let matchedCount = 0;
-
-    for (const article of allArticles) {
-      processedCount++;
-      if (processedCount % 20 === 0) {
-        console.log(`  Progress: ${processedCount}/${allArticles.length} articles (${matchedCount} matched)`);
-      }
+    this.setPhase('processing');
+    checkpoint();
 
+    const started = await runPool(queue, this.fetcher.concurrency || 1, async (article, index) => {
       const data = await this.getArticleData(article.url);
 
       if (data?.handle) {
-        matchedCount++;
+        counters.matched++;
         const isNewAuthor = !this.authorsMap.has(data.handle);
-        if (isNewAuthor) newAuthorsCount++;
-
-        if (!this.authorArticles.has(data.handle)) {
-          this.authorArticles.set(data.handle, []);
+        if (isNewAuthor) counters.newAuthors++;
+        this.progress.articlesMatched = counters.matched;
+        this.progress.newAuthors = counters.newAuthors;
+        this.emit('article', {
+          handle: data.handle,
+          title: data.articleTitle,
+          url: data.articleUrl,
+          keywords: data.matchedKeywords,
+          source: article.source
+        });
+        if (isNewAuthor) {
+          this.emit('author', { handle: data.handle, name: data.name, profileUrl: data.profileUrl });
         }
-        this.authorArticles.get(data.handle).push({
+
+        this.addAuthorArticle(data.handle, {
           title: data.articleTitle,
           url: data.articleUrl,
-          keywords: data.matchedKeywords
+          keywords: data.matchedKeywords,
+          titleMatches: data.titleMatches,
+          tagMatches: data.tagMatches,
+          publishedAt: data.publishedAt,
+          readingTimeMinutes: data.readingTimeMinutes,
+          reactions: data.reactions,
+          comments: data.comments,
+          tags: data.tags,
+          sponsored: data.sponsored,
+          techCompanyNews: data.techCompanyNews,
+          source: article.source
         });
 
         if (!this.authorsMap.has(data.handle)) {
@@ -311,70 +1007,93 @@ class HackerNoonScraper {
             profileUrl: data.profileUrl,
             bio: data.bio,
             website: data.website,
-            keywords: new Set(data.matchedKeywords)
+            keywords: new Set(data.matchedKeywords),
+            firstSeenRunId: this.runId
           });
         } else {
           const existing = this.authorsMap.get(data.handle);
+          const fieldChanges = {};
           data.matchedKeywords.forEach(kw => existing.keywords.add(kw));
           if (data.website && !existing.website) {
+            fieldChanges.website = { from: '', to: data.website };
             existing.website = data.website;
           }
+          // Every article page carries the author's current bio
+          if (data.bio && data.bio !== existing.bio) {
+            fieldChanges.bio = { from: existing.bio || '', to: data.bio };
+            existing.bio = data.bio;
+          }
+          this.recordChanges(existing, fieldChanges);
         }
       }
 
-      await this.delay(500);
+      completed.add(index);
+      counters.processed++;
+      this.progress.articlesProcessed = counters.processed;
+      if (counters.processed % 20 === 0) {
+        console.log(`  Progress: ${counters.processed}/${counters.discovered} articles (${counters.matched} matched)`);
+        this.emit('progress', { ...this.progress });
+      }
+      if (completed.size % checkpointEvery === 0) checkpoint();
+    }, () => this.cancelRequested);
+
+    // Un-see whatever a cancel left unstarted so the next run can discover it again
+    if (this.cancelRequested) {
+      for (const article of queue.slice(started)) {
+        this.seenSlugs.delete(article.slug);
+      }
     }
+    queue = [];
+
+    const matchedCount = counters.matched;
+    const newAuthorsCount = counters.newAuthors;
+    const processedCount = counters.processed;
+    const sitemapArticleCount = counters.fromSitemaps;
 
     console.log(`Matched ${matchedCount} articles, found ${newAuthorsCount} new authors`);
+    const parse = this.parseHealth.report();
+    if (parse.warning) console.warn(`PARSER_DRIFT: ${parse.warning.message}`);
 
-    // Get social links for authors
-    const authors = Array.from(this.authorsMap.values());
-    const authorsNeedingSocial = authors.filter(a => !a.twitter && !a.linkedin && !this.processedProfiles.has(a.profileUrl));
+    // Get social links for new authors and refresh stale ones
+    const authorsNeedingSocial = Array.from(this.authorsMap.values())
+      .filter(a => this.needsEnrichment(a, profileTtlMs));
 
     console.log(`Phase 3: Fetching social links for ${authorsNeedingSocial.length} profiles...`);
+    this.setPhase('enriching');
+    checkpoint();
+    await this.enrichProfiles(authorsNeedingSocial, fetched => {
+      if (fetched % checkpointEvery === 0) checkpoint();
+    });
 
-    for (const a of authorsNeedingSocial) {
-      const social = await this.getProfileSocial(a.profileUrl);
-
-      if (social) {
-        a.twitter = social.twitter || '';
-        a.linkedin = social.linkedin || '';
-        a.github = social.github || '';
-        if (social.website && !a.website) {
-          a.website = social.website;
-        }
-        if (social.name && social.name.length > (a.name?.length || 0)) {
-          a.name = social.name;
-        }
-      }
-      await this.delay(600);
+    // Optional: look past the recent sitemaps at everything each author has written
+    let backfill = null;
+    if (backfillPages > 0) {
+      const authorsToBackfill = Array.from(this.authorsMap.values()).filter(a => this.needsBackfill(a, backfillTtlMs));
+      console.log(`Phase 4: Walking article listings for ${authorsToBackfill.length} authors...`);
+      this.setPhase('backfilling');
+      checkpoint();
+      backfill = await this.backfillAuthors(authorsToBackfill, backfillPages, done => {
+        if (done % checkpointEvery === 0) checkpoint();
+      });
     }
 
-    // Finalize all authors
-    const finalAuthors = authors.map(a => {
+    const finalAuthors = this.finalizeAuthors();
+    // Authors whose every article came from this run (survives a resume, which keeps the runId)
+    const newAuthors = finalAuthors.filter(a => {
       const arts = this.authorArticles.get(a.handle) || [];
-      return {
-        handle: a.handle,
-        name: a.name && a.name.length >= 2 ? a.name : a.handle,
-        profileUrl: a.profileUrl,
-        bio: a.bio || '',
-        twitter: a.twitter || '',
-        linkedin: a.linkedin || '',
-        github: a.github || '',
-        website: a.website || '',
-        sampleArticles: arts.slice(0, 5).map(x => ({
-          title: x.title,
-          url: x.url,
-          keywords: x.keywords
-        })),
-        matchedKeywords: Array.from(a.keywords || [])
-      };
+      return this.runId && arts.length > 0 && arts.every(x => x.runId === this.runId);
     });
 
-    console.log(`Scrape complete! Total authors: ${finalAuthors.length}`);
+    this.setPhase(this.cancelRequested ? 'cancelled' : 'done');
+    console.log(this.cancelRequested
+      ? `Scrape cancelled after ${processedCount} articles. Total authors: ${finalAuthors.length}`
+      : `Scrape complete! Total authors: ${finalAuthors.length}`);
 
     return {
       authors: finalAuthors,
+      newAuthors,
+      // First offending page per drift outcome, for inspection - not part of the results
+      parseSamples: Object.values(this.parseHealth.samples),
       stats: {
         totalAuthors: finalAuthors.length,
         newAuthorsThisRun: newAuthorsCount,
@@ -382,14 +1101,26 @@ class HackerNoonScraper {
         withLinkedIn: finalAuthors.filter(a => a.linkedin).length,
         withGitHub: finalAuthors.filter(a => a.github).length,
         withWebsite: finalAuthors.filter(a => a.website).length,
-        articlesProcessed: allArticles.length,
+        articlesProcessed: processedCount,
+        articlesFromSitemaps: sitemapArticleCount,
+        articlesFromTags: counters.discovered - sitemapArticleCount,
         articlesMatched: matchedCount,
         totalArticlesProcessed: this.processedUrls.size,
-        processingTimeMs: Date.now() - startTime
+        processingTimeMs: Date.now() - startTime,
+        crawl: this.crawlStatsSince(crawlBefore),
+        parse,
+        backfill,
+        warnings: parse.warning ? [parse.warning] : [],
+        cancelled: this.cancelRequested
+      },
+      query: {
+        keywords: this.keywords,
+        tags: this.tags,
+        skipSponsored: this.skipSponsored
       },
       state: this.exportState()
     };
   }
 }
 
-module.exports = { HackerNoonScraper, SEARCH_KEYWORDS, TAG_KEYWORDS };
+module.exports = { HackerNoonScraper, topicChanged, SEARCH_KEYWORDS, TAG_KEYWORDS };
@@ -0,0 +1,35 @@
+const path = require('path');
+const { JsonFileStorage } = require('./json');
+
+const DEFAULT_JSON_FILE = '/tmp/hackernoon-scraper-data.json';
+const DEFAULT_SQLITE_FILE = path.join(process.cwd(), 'data', 'hackernoon-scraper.db');
+
+// Every backend implements the same methods:
+//   load()                              -> { cachedResults, lastScrapeTime, scraperState, scrapeHistory, checkpoint }
+//   saveState(scraperState)             authors, articles and processed URLs/profiles/slugs
+//   saveResults(cachedResults, time)    the last run's finalized output
+//   appendRun(run)                      one scrapeHistory entry
+//   saveCheckpoint(checkpoint)          in-flight run to resume after a crash
+//   clearCheckpoint()
+//   getSetting(key) / saveSetting(key, value)   config that survives clear(), written immediately
+//   flush()                             make pending writes durable
+//   clear()                             drop everything
+//   close()
+//   describe()                          human-readable location for logs
+function createStorage(options = {}) {
+  const type = (options.type || process.env.STORAGE || 'json').toLowerCase();
+
+  if (type === 'sqlite') {
+    // Loaded lazily so the JSON backend works without the native module
+    const { SqliteStorage } = require('./sqlite');
+    return new SqliteStorage(options.file || process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE);
+  }
+
+  if (type === 'json') {
+    return new JsonFileStorage(options.file || process.env.DATA_FILE || DEFAULT_JSON_FILE);
+  }
+
+  throw new Error(`Unknown STORAGE backend "${type}" (expected "json" or "sqlite")`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+
+// Bump when the blob layout changes; files without a version predate versioning.
+// Version 3 moved settings out of the blob into their own file.
+const SCHEMA_VERSION = 3;
+
+function emptyData() {
+  return { cachedResults: null, lastScrapeTime: null, scraperState: null, scrapeHistory: [], checkpoint: null, settings: {} };
+}
+
+// Write to a temp file, fsync, then rename over the target so a crash
+// mid-write leaves either the old file or the new one, never half of each
+function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Everything in one JSON blob, rewritten on flush(). Simple and dependency-free,
+// but every save rewrites the whole file - use SQLite for large states.
+// Settings live in a small file next to it (data.json -> data.settings.json), so
+// frequent ones like usage counters don't rewrite the state.
+class JsonFileStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.settingsPath = `${filePath.replace(/\.json$/, '')}.settings.json`;
+    this.data = emptyData();
+  }
+
+  describe() {
+    return `JSON file ${this.filePath}`;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const version = data.schemaVersion || 1;
+      if (version > SCHEMA_VERSION) {
+        throw new Error(`${this.filePath} has schema version ${version}, this build only reads up to ${SCHEMA_VERSION}`);
+      }
+      this.data = {
+        cachedResults: data.cachedResults || null,
+        lastScrapeTime: data.lastScrapeTime || null,
+        scraperState: data.scraperState || null,
+        scrapeHistory: data.scrapeHistory || [],
+        checkpoint: data.checkpoint || null,
+        settings: data.settings || {}
+      };
+    }
+    if (fs.existsSync(this.settingsPath)) {
+      this.data.settings = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+    } else if (Object.keys(this.data.settings).length) {
+      // Blobs before version 3 carried the settings
+      this.saveSettings();
+    }
+    const { cachedResults, lastScrapeTime, scraperState, scrapeHistory, checkpoint } = this.data;
+    return { cachedResults, lastScrapeTime, scraperState, scrapeHistory: [...scrapeHistory], checkpoint };
+  }
+
+  // Authors, articles and processed URLs/profiles/slugs as exported by HackerNoonScraper
+  saveState(scraperState) {
+    this.data.scraperState = scraperState;
+  }
+
+  saveResults(cachedResults, lastScrapeTime) {
+    this.data.cachedResults = cachedResults;
+    this.data.lastScrapeTime = lastScrapeTime;
+  }
+
+  appendRun(run) {
+    this.data.scrapeHistory.push(run);
+  }
+
+  saveCheckpoint(checkpoint) {
+    this.data.checkpoint = checkpoint;
+  }
+
+  clearCheckpoint() {
+    this.data.checkpoint = null;
+  }
+
+  // Small named config blobs (schedule, webhooks) that outlive resets
+  getSetting(key) {
+    return this.data.settings[key] ?? null;
+  }
+
+  saveSetting(key, value) {
+    this.data.settings[key] = value;
+    this.saveSettings();
+  }
+
+  saveSettings() {
+    writeFileAtomic(this.settingsPath, JSON.stringify(this.data.settings));
+  }
+
+  flush() {
+    const { settings, ...state } = this.data;
+    writeFileAtomic(this.filePath, JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      ...state,
+      savedAt: new Date().toISOString()
+    }));
+  }
+
+  clear() {
+    const { settings } = this.data;
+    this.data = { ...emptyData(), settings };
+    if (fs.existsSync(this.filePath)) fs.unlinkSync(this.filePath);
+  }
+
+  close() {}
+}
+
+module.exports = { JsonFileStorage };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Stored in PRAGMA user_version; bump alongside SCHEMA changes
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS authors (
+    handle TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS articles (
+    handle TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (handle, position)
+  );
+  CREATE TABLE IF NOT EXISTS processed_urls (url TEXT PRIMARY KEY);
+  CREATE TABLE IF NOT EXISTS processed_profiles (url TEXT PRIMARY KEY);
+  CREATE TABLE IF NOT EXISTS seen_slugs (slug TEXT PRIMARY KEY);
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// One row per author, article and processed URL. saveState() only writes rows
+// that changed since the last load/save, so large states stay cheap to persist.
+class SqliteStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`${filePath} has schema version ${version}, this build only reads up to ${SCHEMA_VERSION}`);
+    }
+    this.db.exec(SCHEMA);
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    this.resetPersisted();
+
+    this.stmts = {
+      upsertAuthor: this.db.prepare(`
+        INSERT INTO authors (handle, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(handle) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      insertArticle: this.db.prepare('INSERT OR REPLACE INTO articles (handle, position, url, data) VALUES (?, ?, ?, ?)'),
+      insertUrl: this.db.prepare('INSERT OR IGNORE INTO processed_urls (url) VALUES (?)'),
+      insertProfile: this.db.prepare('INSERT OR IGNORE INTO processed_profiles (url) VALUES (?)'),
+      insertSlug: this.db.prepare('INSERT OR IGNORE INTO seen_slugs (slug) VALUES (?)'),
+      deleteSlug: this.db.prepare('DELETE FROM seen_slugs WHERE slug = ?'),
+      insertRun: this.db.prepare('INSERT INTO runs (data) VALUES (?)'),
+      setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      deleteMeta: this.db.prepare('DELETE FROM meta WHERE key = ?'),
+      getSetting: this.db.prepare('SELECT value FROM settings WHERE key = ?'),
+      setSetting: this.db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)')
+    };
+  }
+
+  // What is already on disk, so saves can skip unchanged rows
+  resetPersisted() {
+    this.persisted = {
+      urls: new Set(),
+      profiles: new Set(),
+      slugs: new Set(),
+      authors: new Map(),
+      articleCounts: new Map(),
+      results: null,
+      topic: null
+    };
+  }
+
+  describe() {
+    return `SQLite database ${this.filePath}`;
+  }
+
+  getMeta(key) {
+    const row = this.stmts.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  load() {
+    const p = this.persisted;
+
+    const processedUrls = this.db.prepare('SELECT url FROM processed_urls').pluck().all();
+    const processedProfiles = this.db.prepare('SELECT url FROM processed_profiles').pluck().all();
+    const seenSlugs = this.db.prepare('SELECT slug FROM seen_slugs').pluck().all();
+    processedUrls.forEach(u => p.urls.add(u));
+    processedProfiles.forEach(u => p.profiles.add(u));
+    seenSlugs.forEach(s => p.slugs.add(s));
+
+    const authorsMap = this.db.prepare('SELECT handle, data FROM authors ORDER BY rowid').all().map(row => {
+      p.authors.set(row.handle, row.data);
+      return [row.handle, JSON.parse(row.data)];
+    });
+
+    const articlesByHandle = new Map();
+    for (const row of this.db.prepare('SELECT handle, data FROM articles ORDER BY handle, position').iterate()) {
+      if (!articlesByHandle.has(row.handle)) articlesByHandle.set(row.handle, []);
+      articlesByHandle.get(row.handle).push(JSON.parse(row.data));
+    }
+    for (const [handle, arts] of articlesByHandle) {
+      p.articleCounts.set(handle, arts.length);
+    }
+
+    const topic = this.getMeta('topic');
+    if (topic) p.topic = JSON.stringify(topic);
+
+    const hasState = processedUrls.length > 0 || seenSlugs.length > 0 || authorsMap.length > 0;
+    const scraperState = hasState ? {
+      ...(topic && { topic }),
+      processedUrls,
+      processedProfiles,
+      seenSlugs,
+      authorsMap,
+      authorArticles: Array.from(articlesByHandle.entries())
+    } : null;
+
+    // Results are stored without their copy of the state, which lives in the tables above
+    const cachedResults = this.getMeta('cachedResults');
+    if (cachedResults) {
+      p.results = JSON.stringify(cachedResults);
+      cachedResults.state = scraperState;
+    }
+
+    return {
+      cachedResults,
+      lastScrapeTime: this.getMeta('lastScrapeTime'),
+      scraperState,
+      scrapeHistory: this.db.prepare('SELECT data FROM runs ORDER BY id').pluck().all().map(d => JSON.parse(d)),
+      checkpoint: this.getMeta('checkpoint')
+    };
+  }
+
+  saveState(scraperState) {
+    if (!scraperState) return;
+    const p = this.persisted;
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      for (const url of scraperState.processedUrls) {
+        if (!p.urls.has(url)) {
+          this.stmts.insertUrl.run(url);
+          p.urls.add(url);
+        }
+      }
+      for (const url of scraperState.processedProfiles) {
+        if (!p.profiles.has(url)) {
+          this.stmts.insertProfile.run(url);
+          p.profiles.add(url);
+        }
+      }
+      const seenSlugs = new Set(scraperState.seenSlugs);
+      for (const slug of seenSlugs) {
+        if (!p.slugs.has(slug)) {
+          this.stmts.insertSlug.run(slug);
+          p.slugs.add(slug);
+        }
+      }
+      // A cancelled run un-sees the slugs it never got to
+      for (const slug of p.slugs) {
+        if (!seenSlugs.has(slug)) {
+          this.stmts.deleteSlug.run(slug);
+          p.slugs.delete(slug);
+        }
+      }
+      for (const [handle, author] of scraperState.authorsMap) {
+        const data = JSON.stringify(author);
+        if (p.authors.get(handle) !== data) {
+          this.stmts.upsertAuthor.run(handle, data, now);
+          p.authors.set(handle, data);
+        }
+      }
+      // Article lists only ever grow, so only append past what's stored
+      for (const [handle, arts] of scraperState.authorArticles) {
+        const stored = p.articleCounts.get(handle) || 0;
+        for (let i = stored; i < arts.length; i++) {
+          this.stmts.insertArticle.run(handle, i, arts[i].url, JSON.stringify(arts[i]));
+        }
+        p.articleCounts.set(handle, arts.length);
+      }
+      // The keyword/tag set the state was built for
+      const topic = scraperState.topic ? JSON.stringify(scraperState.topic) : null;
+      if (topic && topic !== p.topic) {
+        this.stmts.setMeta.run('topic', topic);
+        p.topic = topic;
+      }
+    })();
+  }
+
+  saveResults(cachedResults, lastScrapeTime) {
+    const results = cachedResults ? JSON.stringify({ ...cachedResults, state: undefined }) : null;
+    if (results !== this.persisted.results) {
+      this.stmts.setMeta.run('cachedResults', results);
+      this.persisted.results = results;
+    }
+    this.stmts.setMeta.run('lastScrapeTime', JSON.stringify(lastScrapeTime));
+  }
+
+  appendRun(run) {
+    this.stmts.insertRun.run(JSON.stringify(run));
+  }
+
+  saveCheckpoint(checkpoint) {
+    this.stmts.setMeta.run('checkpoint', JSON.stringify(checkpoint));
+  }
+
+  clearCheckpoint() {
+    this.stmts.deleteMeta.run('checkpoint');
+  }
+
+  // Small named config blobs (schedule, webhooks) that outlive resets
+  getSetting(key) {
+    const row = this.stmts.getSetting.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  saveSetting(key, value) {
+    this.stmts.setSetting.run(key, JSON.stringify(value));
+  }
+
+  // Every write is already committed
+  flush() {}
+
+  clear() {
+    this.db.exec(`
+      DELETE FROM authors; DELETE FROM articles; DELETE FROM processed_urls;
+      DELETE FROM processed_profiles; DELETE FROM seen_slugs; DELETE FROM runs; DELETE FROM meta;
+    `);
+    this.resetPersisted();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStorage };
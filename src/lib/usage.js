@@ -0,0 +1,72 @@
+// Days of per-day counters kept per key
+const MAX_DAYS = 31;
+
+// Per-key request and credit counters, kept in storage settings so they survive
+// resets. Writes are batched; call flush() before exiting.
+class UsageMeter {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.saveDelayMs = options.saveDelayMs ?? 5000;
+    this.usage = null;
+    this.timer = null;
+  }
+
+  // Loaded on first use, after storage.load() has run
+  all() {
+    if (!this.usage) this.usage = this.storage.getSetting('usage') || {};
+    return this.usage;
+  }
+
+  get(keyName) {
+    return this.all()[keyName] || null;
+  }
+
+  // countRequest: false bills credits without counting a request - a background
+  // job charged when it completes, after its request was already counted
+  record(keyName, route, credits = 0, { countRequest = true } = {}) {
+    const now = new Date().toISOString();
+    const day = now.slice(0, 10);
+    const usage = this.all();
+    const entry = usage[keyName] || (usage[keyName] = {
+      credits: 0,
+      requests: 0,
+      firstUsedAt: now,
+      lastUsedAt: null,
+      routes: {},
+      days: {}
+    });
+
+    const requests = countRequest ? 1 : 0;
+    entry.credits += credits;
+    entry.requests += requests;
+    entry.lastUsedAt = now;
+    const routeEntry = entry.routes[route] || (entry.routes[route] = { requests: 0, credits: 0 });
+    routeEntry.requests += requests;
+    routeEntry.credits += credits;
+    const dayEntry = entry.days[day] || (entry.days[day] = { requests: 0, credits: 0 });
+    dayEntry.requests += requests;
+    dayEntry.credits += credits;
+    for (const old of Object.keys(entry.days).sort().slice(0, -MAX_DAYS)) delete entry.days[old];
+
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), this.saveDelayMs);
+    this.timer.unref();
+  }
+
+  flush() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.usage) return;
+    try {
+      this.storage.saveSetting('usage', this.usage);
+    } catch (err) {
+      console.error('Error saving usage:', err.message);
+    }
+  }
+}
+
+module.exports = { UsageMeter };
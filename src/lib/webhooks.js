@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['authors.new'];
+
+// Deliveries kept in memory for the delivery log, newest last
+const MAX_DELIVERIES = 500;
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another attempt; other 4xx are not
+function isRetryable(statusCode) {
+  return !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Subscriptions live in storage settings so they survive resets and restarts.
+// Deliveries are attempted in the background and retried with exponential backoff.
+class WebhookManager {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseMs = options.retryBaseMs || 10000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.userAgent = options.userAgent || 'hackernoon-vibe-authors-webhooks/1.0';
+    this.deliveries = [];
+  }
+
+  // Returns an error message for a bad create/update body, or null.
+  // partial allows leaving fields out (for updates).
+  static validate(body, partial = false) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return 'body must be an object';
+    const { url, secret, events, description, active } = body;
+
+    if (url !== undefined || !partial) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return 'url must be an absolute http(s) URL';
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'url must be an absolute http(s) URL';
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return 'secret must be a string of at least 16 characters';
+    }
+    if (events !== undefined && (!Array.isArray(events) || !events.length || !events.every(e => WEBHOOK_EVENTS.includes(e)))) {
+      return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    if (description !== undefined && typeof description !== 'string') return 'description must be a string';
+    if (active !== undefined && typeof active !== 'boolean') return 'active must be true or false';
+    return null;
+  }
+
+  list() {
+    return this.storage.getSetting('webhooks') || [];
+  }
+
+  get(id) {
+    return this.list().find(w => w.id === id) || null;
+  }
+
+  save(webhooks) {
+    this.storage.saveSetting('webhooks', webhooks);
+  }
+
+  create({ url, secret, events, description }) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || generateSecret(),
+      events: events || [...WEBHOOK_EVENTS],
+      description: description || '',
+      active: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+    this.save([...this.list(), webhook]);
+    return webhook;
+  }
+
+  update(id, changes) {
+    const webhooks = this.list();
+    const webhook = webhooks.find(w => w.id === id);
+    if (!webhook) return null;
+    for (const field of ['url', 'secret', 'events', 'description', 'active']) {
+      if (changes[field] !== undefined) webhook[field] = changes[field];
+    }
+    webhook.updatedAt = new Date().toISOString();
+    this.save(webhooks);
+    return webhook;
+  }
+
+  remove(id) {
+    const webhooks = this.list();
+    const remaining = webhooks.filter(w => w.id !== id);
+    if (remaining.length === webhooks.length) return false;
+    this.save(remaining);
+    return true;
+  }
+
+  // Queue one delivery per active subscriber of the event. Returns the deliveries.
+  publish(event, data) {
+    return this.list()
+      .filter(w => w.active && w.events.includes(event))
+      .map(w => this.enqueue(w, event, data));
+  }
+
+  // Send a single delivery regardless of the subscription's events (POST /api/webhooks/:id/test)
+  enqueue(webhook, event, data) {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      event,
+      status: 'pending',
+      createdAt,
+      deliveredAt: null,
+      nextAttemptAt: createdAt,
+      attempts: [],
+      body: JSON.stringify({ id, event, createdAt, data })
+    };
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > MAX_DELIVERIES) this.deliveries.shift();
+
+    this.schedule(delivery, 0);
+    return delivery;
+  }
+
+  schedule(delivery, waitMs) {
+    // Pending retries don't keep the process alive on shutdown
+    setTimeout(() => {
+      this.attempt(delivery).catch(err => {
+        delivery.status = 'failed';
+        console.error(`Webhook delivery ${delivery.id} error:`, err.message);
+      });
+    }, waitMs).unref();
+  }
+
+  async attempt(delivery) {
+    // The subscription may have been removed or paused while a retry was waiting
+    const webhook = this.get(delivery.webhookId);
+    if (!webhook || (!webhook.active && delivery.event !== 'ping')) {
+      delivery.status = 'cancelled';
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+    delivery.attempts.push(record);
+    delivery.nextAttemptAt = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': this.userAgent,
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      record.statusCode = response.status;
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) record.error = `HTTP ${response.status}`;
+    } catch (err) {
+      record.error = err.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : err.message;
+    }
+    record.durationMs = Date.now() - started;
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      return;
+    }
+
+    if (!isRetryable(record.statusCode) || delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      console.error(`Webhook delivery ${delivery.id} to ${webhook.url} failed: ${record.error}`);
+      return;
+    }
+
+    const waitMs = this.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + waitMs).toISOString();
+    this.schedule(delivery, waitMs);
+  }
+
+  // Delivery log for one subscription, newest first
+  deliveriesFor(webhookId, limit = 50) {
+    return this.deliveries
+      .filter(d => d.webhookId === webhookId)
+      .slice(-limit)
+      .reverse()
+      .map(({ body, ...delivery }) => ({ ...delivery, payloadBytes: Buffer.byteLength(body) }));
+  }
+}
+
+module.exports = { WebhookManager, WEBHOOK_EVENTS, sign };
@@ -0,0 +1,897 @@
+// Offline test suite: the scraper and every API route run against the recorded
+// pages in test/fixtures, so nothing here touches hackernoon.com.
+// Run with `npm test`; set TEST_VERBOSE=1 to see the scraper's logs.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'test', 'fixtures');
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'hackernoon-authors-test-'));
+const API_KEY = 'test-key-0123456789';
+
+// The server reads its config at require time, so this has to come first
+Object.assign(process.env, {
+  STORAGE: 'json',
+  DATA_FILE: path.join(TMP, 'data.json'),
+  HTTP_FIXTURES_DIR: FIXTURES,
+  HTTP_FIXTURES_MODE: 'replay',
+  HTTP_CACHE_MODE: 'off',
+  CRAWL_RATE: '1000',
+  CRAWL_CONCURRENCY: '4',
+  RATE_LIMIT_PER_MINUTE: '0',
+  API_KEYS: `test:${API_KEY}`,
+  WEBHOOK_MAX_ATTEMPTS: '1',
+  PARSER_DRIFT_MIN_PAGES: '5'
+});
+delete process.env.API_KEYS_FILE;
+delete process.env.SCHEDULE_INTERVAL_MINUTES;
+
+if (!process.env.TEST_VERBOSE) console.log = () => {};
+
+const { HackerNoonScraper, topicChanged } = require('./src/lib/scraper');
+const { PoliteFetcher } = require('./src/lib/fetcher');
+const { ResponseCache } = require('./src/lib/cache');
+const { fixtureFetch, fixturePath } = require('./src/lib/fixtures');
+const { ParseHealth } = require('./src/lib/drift');
+const { createStorage } = require('./src/lib/storage');
+
+const BASE = 'https://hackernoon.com';
+const SCRAPE_OPTIONS = { tagPagesPerTag: 2 };
+
+// One request at a time keeps article order (and so which bio wins) deterministic;
+// the API tests run the server's fetcher with CRAWL_CONCURRENCY=4
+function fixtureFetcher() {
+  return new PoliteFetcher({
+    fetch: fixtureFetch(FIXTURES),
+    cache: new ResponseCache({ mode: 'off' }),
+    requestsPerSecond: 1000,
+    concurrency: 1
+  });
+}
+
+function newScraper(state = null, options = {}) {
+  return new HackerNoonScraper(state, { tags: ['saas'], runId: 'run-1', fetcher: fixtureFetcher(), ...options });
+}
+
+// A scraper whose article pages are replaced by `page(url)`; everything else comes from the fixtures
+function scraperWithArticlePages(page, options = {}) {
+  const replay = fixtureFetch(FIXTURES);
+  const fetcher = new PoliteFetcher({
+    fetch: async url => {
+      const { pathname } = new URL(url);
+      const isArticle = /^\/[a-z0-9-]+$/.test(pathname) && pathname !== '/sitemap.xml';
+      return isArticle ? new Response(page(url), { status: 200 }) : replay(url);
+    },
+    cache: new ResponseCache({ mode: 'off' }),
+    requestsPerSecond: 1000,
+    concurrency: 1
+  });
+  return newScraper(null, { fetcher, ...options });
+}
+
+function fixture(url) {
+  return fs.readFileSync(fixturePath(FIXTURES, url), 'utf8');
+}
+
+function handles(authors) {
+  return authors.map(a => a.handle).sort();
+}
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+describe('fixtures', () => {
+  it('maps URLs to files under the host directory', () => {
+    assert.equal(fixturePath('/fx', `${BASE}/u/janedoe`), path.join('/fx', 'hackernoon.com', 'u', 'janedoe.html'));
+    assert.equal(fixturePath('/fx', `${BASE}/tagged/saas?page=2`), path.join('/fx', 'hackernoon.com', 'tagged', 'saas@page=2.html'));
+    assert.equal(fixturePath('/fx', `${BASE}/sitemap.xml`), path.join('/fx', 'hackernoon.com', 'sitemap.xml'));
+  });
+
+  it('answers 404 for pages that were never recorded', async () => {
+    const response = await fixtureFetch(FIXTURES)(`${BASE}/no-such-article`);
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('PoliteFetcher', () => {
+  it('returns page bodies and honors robots.txt', async () => {
+    const fetcher = fixtureFetcher();
+    assert.match(await fetcher.get(`${BASE}/sitemap.xml`), /sitemap-1/);
+    assert.equal(await fetcher.get(`${BASE}/login`), null);
+    assert.equal(fetcher.stats.blockedByRobots, 1);
+  });
+
+  it('retries 5xx responses and gives up with null', async () => {
+    let calls = 0;
+    const fetcher = new PoliteFetcher({
+      fetch: async url => url.endsWith('/robots.txt') ? new Response('', { status: 404 }) : (calls++, new Response('', { status: 503 })),
+      cache: new ResponseCache({ mode: 'off' }),
+      requestsPerSecond: 1000,
+      retries: 2
+    });
+    // Backoff pauses the host for one (doubled) interval between attempts
+    assert.equal(await fetcher.get(`${BASE}/flaky`), null);
+    assert.equal(calls, 2);
+    assert.equal(fetcher.stats.failed, 1);
+  });
+});
+
+describe('ResponseCache', () => {
+  const dir = path.join(TMP, 'http-cache');
+  const requests = [];
+
+  // Every page is "v1" with an ETag; a matching If-None-Match gets a 304
+  async function origin(url, { headers = {} } = {}) {
+    if (url.endsWith('/robots.txt')) return new Response('', { status: 404 });
+    requests.push({ url, ifNoneMatch: headers['If-None-Match'] || null });
+    if (headers['If-None-Match'] === '"v1"') return new Response(null, { status: 304, headers: { ETag: '"v1"' } });
+    return new Response(`body of ${url}`, { status: 200, headers: { ETag: '"v1"' } });
+  }
+
+  function cachingFetcher(cacheOptions, fetch = origin) {
+    return new PoliteFetcher({ fetch, cache: new ResponseCache({ dir, ...cacheOptions }), requestsPerSecond: 1000 });
+  }
+
+  it('serves fresh entries from disk and revalidates stale ones with If-None-Match', async () => {
+    const fetcher = cachingFetcher({ mode: 'live', ttlMinutes: { article: 60, profile: 0 } });
+    for (const url of [`${BASE}/cached-article`, `${BASE}/u/cached-author`]) {
+      assert.equal(await fetcher.get(url), `body of ${url}`);
+      assert.equal(await fetcher.get(url), `body of ${url}`);
+    }
+    // The article was still within its TTL; the profile's TTL of 0 sent it back to the server
+    assert.deepEqual(requests, [
+      { url: `${BASE}/cached-article`, ifNoneMatch: null },
+      { url: `${BASE}/u/cached-author`, ifNoneMatch: null },
+      { url: `${BASE}/u/cached-author`, ifNoneMatch: '"v1"' }
+    ]);
+    assert.equal(fetcher.stats.cacheHits, 1);
+    assert.equal(fetcher.stats.notModified, 1);
+  });
+
+  it('decides freshness by resource type', () => {
+    const cache = new ResponseCache({ dir, mode: 'live', ttlMinutes: { tag: 10 } });
+    const validatedAt = '2024-07-01T12:00:00.000Z';
+    const at = minutes => Date.parse(validatedAt) + minutes * 60000;
+    assert.equal(cache.isFresh({ type: 'tag', validatedAt }, at(9)), true);
+    assert.equal(cache.isFresh({ type: 'tag', validatedAt }, at(11)), false);
+    // Types not overridden keep their defaults (a day for profiles)
+    assert.equal(cache.isFresh({ type: 'profile', validatedAt }, at(23 * 60)), true);
+  });
+
+  it('cache-only replays stored pages and returns null on a miss', async () => {
+    const fetcher = cachingFetcher({ mode: 'cache-only' }, async () => {
+      throw new Error('cache-only must not fetch');
+    });
+    assert.equal(await fetcher.get(`${BASE}/u/cached-author`), `body of ${BASE}/u/cached-author`);
+    assert.equal(await fetcher.get(`${BASE}/never-fetched`), null);
+    assert.equal(fetcher.stats.cacheMisses, 1);
+  });
+});
+
+describe('HackerNoonScraper parsing', () => {
+  const scraper = newScraper();
+
+  it('extractNextData parses the __NEXT_DATA__ script', () => {
+    const data = scraper.extractNextData(fixture(`${BASE}/building-my-saas-as-a-solo-founder`));
+    assert.equal(data.props.pageProps.data.title, 'Building My SaaS as a Solo Founder');
+  });
+
+  it('extractNextData returns null without the script or with broken JSON', () => {
+    assert.equal(scraper.extractNextData(fixture(`${BASE}/broken-markup-story`)), null);
+    assert.equal(scraper.extractNextData('<script id="__NEXT_DATA__" type="application/json">{nope</script>'), null);
+  });
+
+  it('matchesKeywords checks title, excerpt and tags', () => {
+    assert.equal(scraper.matchesKeywords('Notes of an Indie Hacker', '', []), true);
+    assert.equal(scraper.matchesKeywords('Pricing', 'I built this on weekends', []), true);
+    assert.equal(scraper.matchesKeywords('Pricing', '', ['saas']), true);
+    assert.equal(scraper.matchesKeywords('Kubernetes Networking', 'CNI plugins', ['devops']), false);
+  });
+
+  it('matchesKeywords uses custom keywords and tags', () => {
+    const custom = newScraper(null, { keywords: ['rust'], tags: ['web-assembly'] });
+    assert.equal(custom.matchesKeywords('Why Rust?', '', []), true);
+    assert.equal(custom.matchesKeywords('Intro to web assembly', '', []), true);
+    assert.equal(custom.matchesKeywords('Notes of an indie hacker', '', []), false);
+  });
+
+  it('getArticleData extracts the author of a matching article', async () => {
+    const data = await newScraper().getArticleData(`${BASE}/building-my-saas-as-a-solo-founder`);
+    assert.equal(data.handle, 'janedoe');
+    assert.equal(data.name, 'Jane Doe');
+    assert.equal(data.profileUrl, `${BASE}/u/janedoe`);
+    assert.equal(data.website, 'https://janedoe.dev');
+    assert.equal(data.publishedAt, '2024-06-01T00:00:00.000Z');
+    assert.deepEqual(data.matchedKeywords.sort(), ['indie hacker', 'saas', 'solo founder']);
+    assert.deepEqual(data.titleMatches, ['solo founder']);
+    assert.deepEqual(data.tagMatches, ['saas']);
+  });
+
+  it('getArticleData captures reading time, engagement, tags and sponsorship', async () => {
+    const s = newScraper();
+    const jane = await s.getArticleData(`${BASE}/building-my-saas-as-a-solo-founder`);
+    assert.equal(jane.readingTimeMinutes, 6);
+    assert.equal(jane.reactions, 42);
+    assert.equal(jane.comments, 3);
+    assert.deepEqual(jane.tags, ['saas', 'indie-hackers']);
+    assert.equal(jane.sponsored, false);
+    const dana = await s.getArticleData(`${BASE}/indie-hacker-pricing-lessons`);
+    assert.equal(dana.readingTimeMinutes, null);
+    assert.equal(dana.sponsored, true);
+    assert.equal(dana.techCompanyNews, false);
+  });
+
+  it('getArticleData estimates reading time and spots company news from tags', async () => {
+    const body = Array(530).fill('word').join(' ');
+    const s = scraperWithArticlePages(() => `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { data: {
+      title: 'Indie hacker raises a seed round', markup: `<p>${body}</p>`, tags: ['Tech Company News'], profile: { handle: 'acme' }
+    } } } })}</script>`);
+    const data = await s.getArticleData(`${BASE}/acme-raises`);
+    assert.equal(data.readingTimeMinutes, 2);
+    assert.deepEqual(data.tags, ['tech-company-news']);
+    assert.equal(data.techCompanyNews, true);
+  });
+
+  it('getArticleData cleans names and falls back to adLink for the website', async () => {
+    const data = await newScraper().getArticleData(`${BASE}/my-side-project-diary`);
+    assert.equal(data.name, 'Sam Lee');
+    assert.equal(data.website, 'https://samlee.io');
+    assert.equal(data.publishedAt, '2024-07-15T09:00:00.000Z');
+  });
+
+  it('getArticleData skips non-matching, unparseable, missing and already processed articles', async () => {
+    const s = newScraper();
+    assert.equal(await s.getArticleData(`${BASE}/kubernetes-networking-deep-dive`), null);
+    assert.equal(await s.getArticleData(`${BASE}/broken-markup-story`), null);
+    assert.equal(await s.getArticleData(`${BASE}/no-such-article`), null);
+    const url = `${BASE}/building-my-saas-as-a-solo-founder`;
+    assert.ok(await s.getArticleData(url));
+    assert.equal(await s.getArticleData(url), null);
+  });
+
+  it('getProfileSocial finds social links and the display name', async () => {
+    const social = await newScraper().getProfileSocial(`${BASE}/u/janedoe`);
+    assert.deepEqual(social, {
+      twitter: 'https://twitter.com/janedoe',
+      linkedin: 'https://www.linkedin.com/in/janedoe',
+      github: 'https://github.com/janedoe',
+      website: null,
+      name: 'Jane A. Doe'
+    });
+  });
+
+  it('getProfileSocial accepts x.com links and returns null for missing profiles', async () => {
+    const s = newScraper();
+    const social = await s.getProfileSocial(`${BASE}/u/danabuilds`);
+    assert.equal(social.twitter, 'https://x.com/danabuilds');
+    assert.equal(social.website, 'https://dana.build');
+    assert.equal(await s.getProfileSocial(`${BASE}/u/samcodes`), null);
+  });
+
+  it('extractTagPageSlugs reads story slugs from the listing', () => {
+    assert.deepEqual(scraper.extractTagPageSlugs(fixture(`${BASE}/tagged/saas`)).sort(), [
+      'building-my-saas-as-a-solo-founder',
+      'indie-hacker-pricing-lessons'
+    ]);
+  });
+});
+
+describe('parser drift detection', () => {
+  it('ParseHealth only warns once enough pages failed in a drift-like way', () => {
+    const health = new ParseHealth({}, { threshold: 0.5, minPages: 4 });
+    health.record('no-next-data', 'https://hackernoon.com/a', '<html>a</html>');
+    health.record('no-next-data', 'https://hackernoon.com/b', '<html>b</html>');
+    health.record('fetch-failed', 'https://hackernoon.com/c');
+    assert.equal(health.report().warning, null);
+    health.record('no-match', 'https://hackernoon.com/d');
+    health.record('no-profile', 'https://hackernoon.com/e', '<html>e</html>');
+    const report = health.report();
+    assert.equal(report.pagesParsed, 4);
+    assert.equal(report.failureRatio, 0.75);
+    assert.equal(report.warning.code, 'PARSER_DRIFT');
+    assert.deepEqual(Object.keys(health.samples).sort(), ['no-next-data', 'no-profile']);
+    assert.equal(health.samples['no-next-data'].html, '<html>a</html>');
+  });
+
+  it('getArticleData classifies pages whose data or profile moved', async () => {
+    const s = scraperWithArticlePages(url => url.endsWith('moved-data')
+      ? '<script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"story":{}}}}</script>'
+      : '<script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"data":{"title":"Indie hacker notes","author":{"handle":"x"}}}}}</script>');
+    assert.equal(await s.getArticleData(`${BASE}/moved-data`), null);
+    assert.equal(await s.getArticleData(`${BASE}/moved-profile`), null);
+    assert.equal(s.parseHealth.outcomes['no-page-data'], 1);
+    assert.equal(s.parseHealth.outcomes['no-profile'], 1);
+  });
+
+  it('counts parse outcomes for a healthy run without warning', async () => {
+    const { stats, parseSamples } = await newScraper().scrape(SCRAPE_OPTIONS);
+    assert.deepEqual(stats.parse.outcomes, {
+      'matched': 4, 'no-match': 1, 'sponsored': 0, 'no-next-data': 1, 'no-page-data': 0, 'no-profile': 0, 'fetch-failed': 0
+    });
+    assert.deepEqual(stats.warnings, []);
+    assert.equal(parseSamples[0].url, `${BASE}/broken-markup-story`);
+  });
+
+  it('raises PARSER_DRIFT and keeps a sample when the markup changes', async () => {
+    const { stats, parseSamples } = await scraperWithArticlePages(() => fixture(`${BASE}/broken-markup-story`)).scrape(SCRAPE_OPTIONS);
+    assert.equal(stats.articlesMatched, 0);
+    assert.equal(stats.parse.outcomes['no-next-data'], 6);
+    assert.equal(stats.warnings[0].code, 'PARSER_DRIFT');
+    assert.equal(parseSamples.length, 1);
+    assert.match(parseSamples[0].html, /Broken Markup Story/);
+  });
+});
+
+describe('HackerNoonScraper.scrape', () => {
+  let first;
+
+  before(async () => {
+    first = await newScraper().scrape(SCRAPE_OPTIONS);
+  });
+
+  it('finds matching authors from sitemaps and tag pages', () => {
+    assert.deepEqual(handles(first.authors), ['danabuilds', 'janedoe', 'samcodes']);
+    assert.equal(first.stats.articlesProcessed, 6);
+    assert.equal(first.stats.articlesFromSitemaps, 5);
+    assert.equal(first.stats.articlesFromTags, 1);
+    assert.equal(first.stats.articlesMatched, 4);
+    assert.equal(first.stats.newAuthorsThisRun, 3);
+    assert.deepEqual(handles(first.newAuthors), ['danabuilds', 'janedoe', 'samcodes']);
+  });
+
+  it('merges articles and enriches profiles', () => {
+    const jane = first.authors.find(a => a.handle === 'janedoe');
+    assert.equal(jane.name, 'Jane A. Doe');
+    assert.equal(jane.matchingArticles, 2);
+    assert.equal(jane.twitter, 'https://twitter.com/janedoe');
+    assert.equal(jane.github, 'https://github.com/janedoe');
+    // Sitemaps are read newest first, so the sitemap-1 article's bio is the last one seen
+    assert.equal(jane.bio, 'Indie hacker shipping tiny SaaS apps.');
+    assert.ok(jane.lastEnrichedAt);
+    assert.equal(jane.firstPublishedAt, '2024-06-01T00:00:00.000Z');
+    assert.equal(jane.lastPublishedAt, '2024-07-01T00:00:00.000Z');
+    // Two articles a month apart count as one month of activity
+    assert.equal(jane.articlesPerMonth, 2);
+    assert.ok(jane.sampleArticles.every(x => x.publishedAt));
+    // Sam's profile page is missing, so enrichment is retried next run
+    assert.equal(first.authors.find(a => a.handle === 'samcodes').lastEnrichedAt, null);
+  });
+
+  it('continues from exported state without reprocessing articles', async () => {
+    const second = await newScraper(first.state, { runId: 'run-2' }).scrape(SCRAPE_OPTIONS);
+    assert.equal(second.stats.articlesProcessed, 0);
+    assert.equal(second.stats.newAuthorsThisRun, 0);
+    assert.deepEqual(second.newAuthors, []);
+    assert.deepEqual(handles(second.authors), handles(first.authors));
+    assert.equal(second.stats.totalArticlesProcessed, first.stats.totalArticlesProcessed);
+  });
+
+  it('resumes a cancelled run from its last checkpoint', async () => {
+    const s = newScraper();
+    let checkpoint = null;
+    s.on('checkpoint', c => {
+      if (c.run.phase === 'processing') checkpoint = c;
+    });
+    s.on('article', () => s.cancel());
+    const cancelled = await s.scrape({ ...SCRAPE_OPTIONS, checkpointEvery: 1 });
+    assert.equal(cancelled.stats.cancelled, true);
+    assert.ok(checkpoint.run.pendingArticles.length > 0);
+    assert.ok(checkpoint.run.pendingArticles.length < 6);
+
+    const resumed = await newScraper(checkpoint.state).scrape({ ...SCRAPE_OPTIONS, resume: checkpoint.run });
+    assert.equal(resumed.stats.cancelled, false);
+    assert.equal(resumed.stats.articlesProcessed, 6);
+    assert.deepEqual(handles(resumed.authors), handles(first.authors));
+  });
+
+  it('skipSponsored leaves sponsored articles unmatched', async () => {
+    const { authors, stats, query } = await newScraper(null, { skipSponsored: true }).scrape(SCRAPE_OPTIONS);
+    assert.deepEqual(handles(authors), ['janedoe', 'samcodes']);
+    assert.equal(stats.parse.outcomes.sponsored, 1);
+    assert.equal(stats.articlesMatched, 3);
+    assert.equal(query.skipSponsored, true);
+  });
+
+  it('backfills matching articles from author profiles', async () => {
+    const { authors, stats, state } = await newScraper().scrape({ ...SCRAPE_OPTIONS, backfillPages: 3 });
+    assert.deepEqual(stats.backfill, { authors: 2, failed: 1, articlesListed: 5, articlesAdded: 1 });
+    const jane = authors.find(a => a.handle === 'janedoe');
+    assert.equal(jane.matchingArticles, 3);
+    assert.equal(jane.firstPublishedAt, '2023-11-20T10:00:00.000Z');
+    assert.deepEqual(
+      { pages: jane.backfill.pages, complete: jane.backfill.complete, listed: jane.backfill.articlesListed, ratio: jane.backfill.matchRatio },
+      { pages: 2, complete: true, listed: 5, ratio: 0.6 }
+    );
+    assert.equal(authors.find(a => a.handle === 'danabuilds').backfill.matchRatio, null);
+    assert.ok(state.processedUrls.includes(`${BASE}/lessons-from-my-first-side-project`));
+    // The profile's trending story is by someone else, and the related one doesn't say
+    assert.ok(!state.processedUrls.includes(`${BASE}/trending-indie-hacker-tools`));
+    assert.ok(!state.processedUrls.includes(`${BASE}/related-solo-founder-stories`));
+
+    // Walked profiles wait for the TTL; the one that failed is retried
+    const next = await newScraper(state, { runId: 'run-2' }).scrape({ ...SCRAPE_OPTIONS, backfillPages: 3 });
+    assert.deepEqual(next.stats.backfill, { authors: 0, failed: 1, articlesListed: 0, articlesAdded: 0 });
+  });
+
+  it('sitemapsToCheck: 0 discovers from tag listings only', async () => {
+    const { stats } = await newScraper().scrape({ ...SCRAPE_OPTIONS, sitemapsToCheck: 0 });
+    assert.equal(stats.articlesFromSitemaps, 0);
+    assert.equal(stats.articlesFromTags, 2);
+  });
+
+  it('refuses to continue a state built for another keyword/tag set', async () => {
+    const devops = { keywords: ['kubernetes'], tags: ['devops'] };
+    await assert.rejects(newScraper(first.state, devops).scrape(SCRAPE_OPTIONS), { code: 'TOPIC_CHANGED' });
+    // Order and case don't make a different topic
+    const same = newScraper(first.state, { keywords: undefined, tags: ['SaaS'] });
+    assert.equal((await same.scrape(SCRAPE_OPTIONS)).stats.articlesProcessed, 0);
+  });
+
+  it('continues the stored keyword/tag set when none is given', async () => {
+    const devops = await newScraper(null, { keywords: ['kubernetes'], tags: ['devops'] }).scrape(SCRAPE_OPTIONS);
+    const next = newScraper(devops.state, { tags: undefined });
+    assert.deepEqual(next.keywords, ['kubernetes']);
+    assert.deepEqual(next.tags, ['devops']);
+    assert.equal((await next.scrape(SCRAPE_OPTIONS)).stats.articlesProcessed, 0);
+    // Only what was sent is compared
+    await assert.rejects(newScraper(devops.state).scrape(SCRAPE_OPTIONS), { code: 'TOPIC_CHANGED' });
+  });
+
+  it('keeps the keyword/tag set through a SQLite round-trip', () => {
+    const file = path.join(TMP, 'topic.db');
+    const storage = createStorage({ type: 'sqlite', file });
+    storage.saveState(first.state);
+    storage.close();
+
+    const reopened = createStorage({ type: 'sqlite', file });
+    const { scraperState } = reopened.load();
+    assert.deepEqual(scraperState.topic, first.state.topic);
+    assert.equal(topicChanged(scraperState, { tags: ['saas'] }), false);
+    assert.equal(topicChanged(scraperState, { tags: ['devops'] }), true);
+    reopened.clear();
+    assert.equal(reopened.load().scraperState, null);
+    reopened.close();
+  });
+
+  it('re-discovers articles a cancel left unstarted', async () => {
+    const s = newScraper();
+    s.on('phase', ({ phase }) => {
+      if (phase === 'processing') s.cancel();
+    });
+    const cancelled = await s.scrape(SCRAPE_OPTIONS);
+    assert.equal(cancelled.stats.articlesProcessed, 0);
+    const next = await newScraper(cancelled.state).scrape(SCRAPE_OPTIONS);
+    assert.equal(next.stats.articlesProcessed, 6);
+  });
+});
+
+describe('JsonFileStorage', () => {
+  it('saves settings without rewriting the state file', () => {
+    const file = path.join(TMP, 'settings-test.json');
+    const storage = createStorage({ type: 'json', file });
+    storage.load();
+    storage.saveState({ processedUrls: [`${BASE}/a`], processedProfiles: [], seenSlugs: [], authorsMap: [], authorArticles: [] });
+    storage.flush();
+    const before = fs.readFileSync(file, 'utf8');
+
+    storage.saveSetting('usage', { test: { credits: 50 } });
+    assert.equal(fs.readFileSync(file, 'utf8'), before);
+    assert.equal(JSON.parse(before).settings, undefined);
+
+    // Settings survive a reload and a clear()
+    const reloaded = createStorage({ type: 'json', file });
+    assert.deepEqual(reloaded.load().scraperState.processedUrls, [`${BASE}/a`]);
+    reloaded.clear();
+    assert.equal(fs.existsSync(file), false);
+    const fresh = createStorage({ type: 'json', file });
+    assert.equal(fresh.load().scraperState, null);
+    assert.deepEqual(fresh.getSetting('usage'), { test: { credits: 50 } });
+  });
+
+  it('moves settings out of version 2 files', () => {
+    const file = path.join(TMP, 'settings-v2.json');
+    fs.writeFileSync(file, JSON.stringify({ schemaVersion: 2, scraperState: null, settings: { schedule: { intervalMinutes: 60 } } }));
+    const storage = createStorage({ type: 'json', file });
+    storage.load();
+    assert.deepEqual(storage.getSetting('schedule'), { intervalMinutes: 60 });
+    assert.ok(fs.existsSync(path.join(TMP, 'settings-v2.settings.json')));
+  });
+});
+
+describe('API routes', () => {
+  const app = require('./src/index');
+  let server;
+  let base;
+
+  async function api(method, urlPath, body, { key = API_KEY } = {}) {
+    const headers = {};
+    if (key) headers['X-API-Key'] = key;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(base + urlPath, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json') ? JSON.parse(text) : null;
+    return { status: response.status, headers: response.headers, json, text };
+  }
+
+  async function waitForJob(jobId) {
+    for (let i = 0; i < 200; i++) {
+      const { json } = await api('GET', `/api/jobs/${jobId}`);
+      if (!['queued', 'running'].includes(json.data.status)) return json.data;
+      await new Promise(r => setTimeout(r, 25));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  }
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('GET / lists the endpoints', async () => {
+    const { status, json } = await api('GET', '/');
+    assert.equal(status, 200);
+    assert.ok(json.endpoints.some(e => e.path === '/api/scrape'));
+  });
+
+  it('GET /health, /docs, /dashboard and /mcp-tool.json respond', async () => {
+    assert.equal((await api('GET', '/health')).status, 200);
+    assert.match((await api('GET', '/docs')).text, /<code>\/api\/results<\/code>/);
+    assert.match((await api('GET', '/dashboard')).text, /<html/i);
+    const tool = await api('GET', '/mcp-tool.json');
+    assert.equal(tool.status, 200);
+    assert.ok(tool.json);
+  });
+
+  it('GET /api/results is 404 before the first scrape', async () => {
+    const { status, json } = await api('GET', '/api/results');
+    assert.equal(status, 404);
+    assert.equal(json.error.code, 'NO_RESULTS');
+  });
+
+  it('POST /api/scrape needs a valid API key', async () => {
+    assert.equal((await api('POST', '/api/scrape', {}, { key: null })).json.error.code, 'UNAUTHORIZED');
+    assert.equal((await api('POST', '/api/scrape', {}, { key: 'wrong-key' })).status, 401);
+  });
+
+  it('POST /api/scrape validates options', async () => {
+    const { status, json } = await api('POST', '/api/scrape', { tags: 'saas' });
+    assert.equal(status, 400);
+    assert.equal(json.error.code, 'INVALID_REQUEST');
+    assert.equal((await api('POST', '/api/scrape', { skipSponsored: 'yes' })).status, 400);
+    assert.equal((await api('POST', '/api/scrape', { backfillPages: -1 })).status, 400);
+  });
+
+  it('POST /api/scrape with wait returns the results', async () => {
+    const { status, json } = await api('POST', '/api/scrape', { tags: ['saas'], tagPagesPerTag: 2, wait: true });
+    assert.equal(status, 200);
+    assert.equal(json.meta.runNumber, 1);
+    assert.deepEqual(handles(json.data.authors), ['danabuilds', 'janedoe', 'samcodes']);
+    assert.equal(json.data.state, undefined);
+  });
+
+  it('POST /api/scrape runs a background job that continues from the stored state', async () => {
+    const { status, json } = await api('POST', '/api/scrape', { tags: ['saas'], tagPagesPerTag: 2 });
+    assert.equal(status, 202);
+    // Charged when the job completes, not when it's queued
+    assert.equal(json.meta.credits, 0);
+    const job = await waitForJob(json.data.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.stats.articlesProcessed, 0);
+    assert.equal(job.stats.totalAuthors, 3);
+  });
+
+  it('GET /api/jobs/:id and DELETE /api/jobs/:id report unknown and finished jobs', async () => {
+    assert.equal((await api('GET', '/api/jobs/nope')).json.error.code, 'JOB_NOT_FOUND');
+    assert.equal((await api('DELETE', '/api/jobs/nope')).status, 404);
+    const [latest] = (await api('GET', '/api/runs')).json.data;
+    const { status, json } = await api('DELETE', `/api/jobs/${latest.id}`);
+    assert.equal(status, 409);
+    assert.equal(json.error.code, 'JOB_NOT_RUNNING');
+  });
+
+  it('GET /api/status reports state, crawler and limits', async () => {
+    const { json } = await api('GET', '/api/status');
+    assert.equal(json.data.scrapeInProgress, false);
+    assert.equal(json.data.cachedAuthorsCount, 3);
+    assert.equal(json.data.scrapeRuns, 2);
+    assert.equal(json.data.crawler.cache.mode, 'off');
+    assert.equal(json.data.limits.requests, null);
+    assert.equal(json.data.parser.outcomes.matched, 4);
+    assert.deepEqual(json.data.warnings, []);
+  });
+
+  it('GET /api/parser and /api/parser/samples/:outcome expose drift samples', async () => {
+    const { json } = await api('GET', '/api/parser');
+    assert.equal(json.data.health.warning, null);
+    assert.deepEqual(json.data.samples.map(s => s.outcome), ['no-next-data']);
+    const sample = await api('GET', json.data.samples[0].href);
+    assert.match(sample.headers.get('content-type'), /text\/plain/);
+    assert.match(sample.text, /Broken Markup Story/);
+    assert.equal((await api('GET', '/api/parser/samples/no-profile')).json.error.code, 'SAMPLE_NOT_FOUND');
+    assert.equal((await api('GET', '/api/parser', undefined, { key: null })).status, 401);
+  });
+
+  it('GET /api/results filters, sorts and paginates', async () => {
+    const all = await api('GET', '/api/results');
+    assert.equal(all.json.data.total, 3);
+    const withGithub = await api('GET', '/api/results?hasGitHub=true');
+    assert.deepEqual(handles(withGithub.json.data.authors), ['janedoe']);
+    const page = await api('GET', '/api/results?limit=2&sort=name');
+    assert.equal(page.json.data.authors.length, 2);
+    assert.ok(page.json.data.nextCursor);
+    assert.equal((await api('GET', '/api/results?hasGitHub=maybe')).status, 400);
+  });
+
+  it('GET /api/results and /api/csv filter on recent activity', async () => {
+    // The fixture articles are from mid-2024
+    const days = Math.floor((Date.now() - Date.parse('2024-07-02')) / 86400000);
+    const active = await api('GET', `/api/results?activeWithinDays=${days}`);
+    assert.deepEqual(handles(active.json.data.authors), ['danabuilds', 'samcodes']);
+    assert.equal((await api('GET', '/api/results?activeWithinDays=30')).json.data.total, 0);
+    assert.equal((await api('GET', '/api/results?activeWithinDays=0')).status, 400);
+    const csv = await api('GET', `/api/csv?activeWithinDays=${days}&columns=handle,lastPublishedAt,articlesPerMonth`);
+    assert.deepEqual(csv.text.trim().split('\r\n').slice(1).sort(), [
+      '"danabuilds","2024-07-03T09:46:40.000Z","1"',
+      '"samcodes","2024-07-15T09:00:00.000Z","1"'
+    ]);
+  });
+
+  it('GET /api/authors/:handle returns articles and history', async () => {
+    const { json } = await api('GET', '/api/authors/janedoe');
+    assert.equal(json.data.handle, 'janedoe');
+    assert.equal(json.data.articles.length, 2);
+    const saas = json.data.articles.find(a => a.url.endsWith('building-my-saas-as-a-solo-founder'));
+    assert.equal(saas.readingTimeMinutes, 6);
+    assert.deepEqual(saas.tags, ['saas', 'indie-hackers']);
+    assert.ok(Array.isArray(json.data.changeHistory));
+    assert.equal((await api('GET', '/api/authors/nobody')).status, 404);
+  });
+
+  it('GET /api/runs lists runs newest first', async () => {
+    const { json } = await api('GET', '/api/runs');
+    assert.deepEqual(json.data.map(r => r.runNumber), [2, 1]);
+    assert.equal(json.data[1].newAuthors, 3);
+  });
+
+  it('GET /api/runs/:id/diff compares runs', async () => {
+    const firstRun = await api('GET', '/api/runs/1/diff');
+    assert.equal(firstRun.json.data.summary.added, 3);
+    const secondRun = await api('GET', '/api/runs/2/diff');
+    assert.equal(secondRun.json.data.summary.added, 0);
+    assert.equal((await api('GET', '/api/runs/99/diff')).json.error.code, 'RUN_NOT_FOUND');
+  });
+
+  it('POST /api/authors/refresh re-fetches selected profiles', async () => {
+    assert.equal((await api('POST', '/api/authors/refresh', { handles: 'janedoe' })).status, 400);
+    const { status, json } = await api('POST', '/api/authors/refresh', { handles: ['@janedoe'] });
+    assert.equal(status, 202);
+    const job = await waitForJob(json.data.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.stats.profilesRefreshed, 1);
+  });
+
+  it('GET/PUT/DELETE /api/schedule manage the recurring scrape', async () => {
+    assert.equal((await api('GET', '/api/schedule')).json.data.enabled, false);
+    assert.equal((await api('PUT', '/api/schedule', { intervalMinutes: 1 })).status, 400);
+    const put = await api('PUT', '/api/schedule', { intervalMinutes: 60, options: { tags: ['saas'] } });
+    assert.equal(put.json.data.enabled, true);
+    assert.ok(put.json.data.nextRunAt);
+    assert.equal((await api('DELETE', '/api/schedule')).json.data.enabled, false);
+  });
+
+  it('/api/webhooks manages subscriptions and delivers signed pings', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const secret = 'a-test-secret-of-some-length';
+
+    try {
+      assert.equal((await api('POST', '/api/webhooks', { url: 'ftp://example.com' })).status, 400);
+      const created = await api('POST', '/api/webhooks', {
+        url: `http://127.0.0.1:${receiver.address().port}/hook`,
+        secret
+      });
+      assert.equal(created.status, 201);
+      const id = created.json.data.id;
+      assert.equal(created.json.data.secret, secret);
+
+      assert.equal((await api('GET', '/api/webhooks', undefined, { key: null })).status, 401);
+      assert.equal((await api('GET', '/api/webhooks')).json.data.length, 1);
+      assert.equal((await api('GET', `/api/webhooks/${id}`)).json.data.secret, undefined);
+      assert.equal((await api('PATCH', `/api/webhooks/${id}`, { description: 'tests' })).json.data.description, 'tests');
+
+      assert.equal((await api('POST', `/api/webhooks/${id}/test`)).status, 202);
+      let deliveries = [];
+      for (let i = 0; i < 100 && deliveries[0]?.status !== 'delivered'; i++) {
+        await new Promise(r => setTimeout(r, 20));
+        deliveries = (await api('GET', `/api/webhooks/${id}/deliveries`)).json.data;
+      }
+      assert.equal(deliveries[0].status, 'delivered');
+
+      const [ping] = received;
+      assert.equal(ping.headers['x-webhook-event'], 'ping');
+      const expected = crypto.createHmac('sha256', secret)
+        .update(`${ping.headers['x-webhook-timestamp']}.${ping.body}`).digest('hex');
+      assert.equal(ping.headers['x-webhook-signature'], `sha256=${expected}`);
+
+      assert.equal((await api('DELETE', `/api/webhooks/${id}`)).status, 200);
+      assert.equal((await api('GET', `/api/webhooks/${id}`)).json.error.code, 'WEBHOOK_NOT_FOUND');
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+
+  it('GET /api/usage reports credits per key', async () => {
+    assert.equal((await api('GET', '/api/usage', undefined, { key: null })).status, 401);
+    const { json } = await api('GET', '/api/usage');
+    const [test] = json.data.keys;
+    assert.equal(test.key, 'test');
+    assert.ok(test.requests > 0);
+    assert.ok(test.credits >= 100);
+    // The blocking scrape and the completed background job
+    assert.equal(test.routes['POST /api/scrape'].credits, 100);
+  });
+
+  it('GET /api/csv downloads authors or articles', async () => {
+    const authors = await api('GET', '/api/csv');
+    assert.match(authors.headers.get('content-type'), /text\/csv/);
+    assert.equal(authors.text.trim().split('\r\n').length, 4);
+    const articles = await api('GET', '/api/csv?mode=articles&columns=handle,title');
+    assert.equal(articles.text.split('\r\n')[0], '"Handle","Article Title"');
+    assert.equal(articles.text.trim().split('\r\n').length, 5);
+    assert.equal((await api('GET', '/api/csv?columns=nope')).status, 400);
+  });
+
+  it('GET /api/export streams jsonl and vCards', async () => {
+    const jsonl = await api('GET', '/api/export?format=jsonl');
+    const lines = jsonl.text.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(handles(lines), ['danabuilds', 'janedoe', 'samcodes']);
+    const vcf = await api('GET', '/api/export?format=vcf&hasTwitter=true');
+    assert.equal(vcf.text.match(/BEGIN:VCARD/g).length, 2);
+    assert.equal((await api('GET', '/api/export?format=xml')).status, 400);
+  });
+
+  it('GET /api/scrape/events streams the current status first', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${base}/api/scrape/events`, { signal: controller.signal });
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    assert.match(Buffer.from(value).toString('utf8'), /^event: status\ndata: \{"scrapeInProgress":false/);
+    controller.abort();
+    await reader.cancel().catch(() => {});
+  });
+
+  it('POST /api/scrape switches topic only with reset', async () => {
+    const devops = { keywords: ['kubernetes'], tags: ['devops'], tagPagesPerTag: 0, wait: true };
+    const refused = await api('POST', '/api/scrape', devops);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.json.error.code, 'TOPIC_CHANGED');
+    assert.equal((await api('PUT', '/api/schedule', { intervalMinutes: 60, options: devops })).status, 409);
+
+    const { status, json } = await api('POST', '/api/scrape', { ...devops, reset: true });
+    assert.equal(status, 200);
+    // The Kubernetes article was rejected under the first topic; none of its authors carry over
+    assert.deepEqual(handles(json.data.authors), ['bobops']);
+
+    // Leaving keywords/tags out (the dashboard's Continue Scrape) continues the stored set
+    const continued = await api('POST', '/api/scrape', { tagPagesPerTag: 0, wait: true });
+    assert.equal(continued.status, 200);
+    assert.deepEqual(continued.json.data.query.tags, ['devops']);
+    assert.equal((await api('PUT', '/api/schedule', { intervalMinutes: 60, options: {} })).status, 200);
+    assert.equal((await api('DELETE', '/api/schedule')).status, 200);
+  });
+
+  it('POST /api/reset clears results', async () => {
+    assert.equal((await api('POST', '/api/reset')).status, 200);
+    assert.equal((await api('GET', '/api/results')).status, 404);
+    assert.equal((await api('GET', '/api/runs')).json.data.length, 0);
+  });
+});
+
+describe('RateLimiter and DailyQuota', () => {
+  const { RateLimiter, DailyQuota } = require('./src/lib/ratelimit');
+
+  it('refills the request bucket evenly over the window', () => {
+    const limiter = new RateLimiter({ limit: 2 });
+    const t = Date.parse('2024-07-01T12:00:00Z');
+    assert.equal(limiter.take('a', t).allowed, true);
+    assert.equal(limiter.take('a', t).remaining, 0);
+    assert.deepEqual(limiter.take('a', t), { allowed: false, limit: 2, remaining: 0, retryAfterSec: 30 });
+    // Clients don't share a bucket, and peek() doesn't spend
+    assert.deepEqual(limiter.peek('b', t), { limit: 2, remaining: 2 });
+    assert.equal(limiter.take('a', t + 30000).allowed, true);
+    assert.equal(new RateLimiter({ limit: 0 }).enabled, false);
+  });
+
+  it('counts scrapes per UTC day and hands back refunds', () => {
+    const quota = new DailyQuota({ limit: 1 });
+    const t = Date.parse('2024-07-01T23:00:00Z');
+    assert.equal(quota.take('a', t).allowed, true);
+    assert.deepEqual(quota.take('a', t), {
+      allowed: false, limit: 1, used: 1, remaining: 0, resetsAt: '2024-07-02T00:00:00.000Z', retryAfterSec: 3600
+    });
+    quota.refund('a', t);
+    assert.equal(quota.peek('a', t).used, 0);
+    assert.equal(quota.take('a', t).allowed, true);
+    assert.equal(quota.take('a', t + 3600000).allowed, true);
+  });
+});
+
+describe('API rate limits', () => {
+  let server;
+  let base;
+
+  // A second app instance with small limits; the server reads them at require time
+  before(async () => {
+    const env = { RATE_LIMIT_PER_MINUTE: '6', SCRAPE_QUOTA_PER_DAY: '1', DATA_FILE: path.join(TMP, 'limits.json') };
+    const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    const modulePath = require.resolve('./src/index');
+    const shared = require.cache[modulePath];
+    delete require.cache[modulePath];
+    try {
+      server = require('./src/index').listen(0);
+    } finally {
+      require.cache[modulePath] = shared;
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  async function call(method, urlPath, body) {
+    const response = await fetch(base + urlPath, {
+      method,
+      headers: { 'X-API-Key': API_KEY, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, json: await response.json() };
+  }
+
+  it('refunds failed scrapes, then answers 429 with Retry-After', async () => {
+    assert.equal((await call('POST', '/api/scrape', { sitemapsToCheck: -1 })).status, 400);
+    const before = await call('GET', '/api/status');
+    assert.equal(before.json.data.limits.scrapes.used, 0);
+    assert.equal(before.json.data.limits.requests.perMinute, 6);
+
+    const scrape = { sitemapsToCheck: 0, tagPagesPerTag: 0, wait: true };
+    assert.equal((await call('POST', '/api/scrape', scrape)).status, 200);
+    const quota = await call('POST', '/api/scrape', scrape);
+    assert.equal(quota.status, 429);
+    assert.equal(quota.json.error.code, 'QUOTA_EXCEEDED');
+    assert.ok(Number(quota.headers.get('retry-after')) > 0);
+
+    const status = await call('GET', '/api/status');
+    assert.equal(status.json.data.limits.scrapes.used, 1);
+    assert.equal(status.headers.get('x-ratelimit-remaining'), '1');
+    await call('GET', '/api/status');
+    const limited = await call('GET', '/api/status');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.json.error.code, 'RATE_LIMITED');
+    assert.equal(limited.headers.get('retry-after'), String(limited.json.error.retryAfterSec));
+  });
+});